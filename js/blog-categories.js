@@ -0,0 +1,66 @@
+/**
+ * Blog Categories
+ * Category lookups and post counts shared by the blog page and the editor
+ *
+ * Categories are stored as { id, name, description } and posts reference them
+ * by id. Older posts stored the display name, so lookups accept either.
+ */
+
+class BlogCategories {
+  static slugify(value) {
+    return String(value || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/(^-|-$)/g, '');
+  }
+
+  // Drops the legacy "all" pseudo-category and stored counts
+  static normalize(categories = []) {
+    return categories
+      .filter(cat => cat && cat.id && cat.id !== 'all')
+      .map(cat => ({
+        id: cat.id,
+        name: cat.name || cat.id,
+        description: cat.description || ''
+      }));
+  }
+
+  static find(categories, value) {
+    if (!value) return null;
+    const lower = String(value).toLowerCase();
+    const slug = this.slugify(value);
+    return categories.find(cat => cat.id === value) ||
+      categories.find(cat => cat.name.toLowerCase() === lower) ||
+      categories.find(cat => cat.id === slug) ||
+      null;
+  }
+
+  static resolveId(categories, value) {
+    const category = this.find(categories, value);
+    return category ? category.id : this.slugify(value);
+  }
+
+  static nameFor(categories, value) {
+    const category = this.find(categories, value);
+    return category ? category.name : (value || 'Uncategorized');
+  }
+
+  static uniqueId(categories, name) {
+    const base = this.slugify(name) || 'category';
+    let id = base;
+    let suffix = 2;
+    while (categories.some(cat => cat.id === id)) {
+      id = `${base}-${suffix++}`;
+    }
+    return id;
+  }
+
+  static counts(posts, categories) {
+    const counts = new Map(categories.map(cat => [cat.id, 0]));
+    posts.forEach(post => {
+      const id = this.resolveId(categories, post.category);
+      counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    return counts;
+  }
+}
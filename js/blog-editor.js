@@ -8,23 +8,95 @@ class BlogEditor {
     this.posts = [];
     this.categories = [];
     this.currentPostId = null;
+    this.selectedPostIds = new Set();
+    this.searchIndex = new PostSearch();
+    this.shortcuts = new EditorShortcuts({
+      'save': 'Mod+S',
+      'preview': 'Mod+P',
+      'new-post': 'Mod+Shift+N',
+      'command-palette': 'Mod+K',
+      'show-shortcuts': '?'
+    });
+    this.paletteItems = [];
+    this.paletteIndex = 0;
+    this.recordingCommand = null;
+    this.pendingBulkAction = null;
     this.tags = [];
     this.quill = null;
+    this.markdown = new MarkdownConverter();
+    this.importer = new PostImporter(this.markdown);
+    this.exporter = new PostExporter(this.markdown);
+    this.pendingImport = null;
+    this.editorMode = 'rich';
     this.featuredImageData = null;
+    this.featuredImageVariants = [];
+    this.imageProcessor = new ImageProcessor();
+    this.MAX_UPLOAD_SIZE = 5 * 1024 * 1024; // images stored as uploaded
+    this.MAX_PROCESSED_UPLOAD_SIZE = 25 * 1024 * 1024; // images resized in the browser first
     this.autosaveInterval = null;
-    this.AUTOSAVE_KEY = 'blog-editor-draft';
+    this.AUTOSAVE_KEY = 'blog-editor-draft'; // legacy single-draft key, migrated on load
+    this.drafts = new DraftStore();
+    this.linter = new PostLinter();
+    this.sessionUploads = []; // media library items for images uploaded since the editor loaded
+    this.mediaItems = [];
+    this.selectedMediaIndex = null;
+    this.mediaInsertIndex = null;
+    this.mediaPickHandler = null; // set while the library is choosing an image for an embed block
+    this.embedDraft = null;
+    this.EMBED_LABELS = {
+      'project-card': 'Project Card',
+      'gallery': 'Gallery',
+      'image-compare': 'Before/After Comparison'
+    };
+    this.newDraftKey = this.createDraftKey();
     this.AUTOSAVE_INTERVAL = 30000; // 30 seconds
     this.DRAFT_EXPIRY_DAYS = 7;
+    this.revisions = {};
+    this.REVISIONS_KEY = 'blog-editor-revisions';
+    this.MAX_REVISIONS = 20;
+    this.GITHUB_SETTINGS_KEY = 'blog-editor-github-settings';
+    this.DEFAULT_GITHUB_SETTINGS = {
+      owner: 'darkclone9',
+      repo: 'darkclone9.github.io',
+      branch: '', // empty means the repository's default branch
+      filePath: 'data/blogs.json',
+      mode: 'direct',
+      tokenStorage: 'encrypted'
+    };
+    this.githubSettings = this.loadGithubSettings();
+    this.tokenVault = new TokenVault();
+    this.verifiedGithub = null;
+    this.legacyTokenMigrated = false;
+    // Tests can point the editor at a mock server via window.BLOG_EDITOR_GITHUB_API.
+    // Only a locally served editor honours it, so the deployed one never sends the token elsewhere
+    const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+    this.GITHUB_API = (isLocal && window.BLOG_EDITOR_GITHUB_API) || 'https://api.github.com';
+    this.baseData = null;
+    this.baseSha = null;
+    this.pendingConflictResolve = null;
+    this.IMAGE_EXTENSIONS = {
+      'image/jpeg': 'jpg',
+      'image/png': 'png',
+      'image/gif': 'gif',
+      'image/webp': 'webp',
+      'image/avif': 'avif',
+      'image/svg+xml': 'svg'
+    };
 
     this.init();
   }
 
   async init() {
     await this.loadBlogData();
+    this.searchIndex.build(this.posts);
+    this.loadRevisions();
     this.initQuillEditor();
+    this.renderCategoryOptions();
     this.renderPostList();
     this.setupEventListeners();
     this.setDefaultDate();
+    this.updateReadingStats();
+    await this.migrateLegacyDraft();
     this.checkForDraft();
     this.startAutosave();
   }
@@ -32,9 +104,14 @@ class BlogEditor {
   async loadBlogData() {
     try {
       const response = await fetch('data/blogs.json');
-      const data = await response.json();
-      this.posts = data.posts || [];
-      this.categories = data.categories || [];
+      const text = await response.text();
+      const data = this.normalizeBlogData(JSON.parse(text));
+      this.posts = data.posts;
+      this.categories = data.categories;
+
+      // Remember what we started from so commits can detect remote changes
+      this.baseData = this.normalizeBlogData(JSON.parse(text));
+      this.baseSha = await this.gitBlobSha(text).catch(() => null);
     } catch (error) {
       console.error('Error loading blog data:', error);
       this.posts = [];
@@ -42,7 +119,28 @@ class BlogEditor {
     }
   }
 
+  // Posts reference categories by id; legacy names are mapped and unknown ones created
+  normalizeBlogData(data) {
+    const categories = BlogCategories.normalize(data.categories || []);
+    const posts = (data.posts || []).map(post => {
+      if (!post.category) return post;
+
+      if (!BlogCategories.find(categories, post.category)) {
+        categories.push({
+          id: BlogCategories.uniqueId(categories, post.category),
+          name: post.category,
+          description: ''
+        });
+      }
+      return { ...post, category: BlogCategories.resolveId(categories, post.category) };
+    });
+
+    return { posts, categories };
+  }
+
   initQuillEditor() {
+    this.registerQuillFormats();
+
     this.quill = new Quill('#quillEditor', {
       modules: {
         toolbar: '#quillToolbar'
@@ -60,14 +158,69 @@ class BlogEditor {
     this.quill.getModule('toolbar').addHandler('video', () => {
       this.insertVideo();
     });
+
+    // Embed blocks
+    const toolbar = this.quill.getModule('toolbar');
+    toolbar.addHandler('code-block', () => {
+      this.toggleCodeBlock();
+    });
+    toolbar.addHandler('callout', () => {
+      this.cycleCallout();
+    });
+    Object.keys(this.EMBED_LABELS).forEach(type => {
+      toolbar.addHandler(type, () => {
+        this.openEmbedEditor(type);
+      });
+    });
+
+    // Clicking an embed block reopens it for editing
+    this.quill.root.addEventListener('click', (e) => {
+      const node = e.target.closest('.ql-project-card, .ql-gallery, .ql-image-compare');
+      if (node) {
+        e.preventDefault();
+        this.editEmbedBlock(node);
+      }
+    });
+
+    // Keep word count and read time live
+    this.quill.on('text-change', () => {
+      this.scheduleReadingStatsUpdate();
+    });
   }
 
-  insertImage() {
-    const url = prompt('Enter image URL:');
-    if (url) {
-      const range = this.quill.getSelection(true);
-      this.quill.insertEmbed(range.index, 'image', url);
+  // Keep srcset/sizes on images so responsive variants survive editing
+  registerQuillFormats() {
+    QuillEmbeds.register();
+
+    const Image = Quill.import('formats/image');
+    const RESPONSIVE_ATTRIBUTES = ['srcset', 'sizes', 'data-source-type', 'data-source-srcset'];
+
+    class ResponsiveImage extends Image {
+      static formats(domNode) {
+        return RESPONSIVE_ATTRIBUTES.reduce((formats, attribute) => {
+          if (domNode.hasAttribute(attribute)) {
+            formats[attribute] = domNode.getAttribute(attribute);
+          }
+          return formats;
+        }, super.formats(domNode));
+      }
+
+      format(name, value) {
+        if (!RESPONSIVE_ATTRIBUTES.includes(name)) {
+          super.format(name, value);
+        } else if (value) {
+          this.domNode.setAttribute(name, value);
+        } else {
+          this.domNode.removeAttribute(name);
+        }
+      }
     }
+
+    Quill.register(ResponsiveImage, true);
+  }
+
+  insertImage() {
+    this.openMediaLibrary();
   }
 
   insertVideo() {
@@ -91,43 +244,372 @@ class BlogEditor {
     }
   }
 
+  // Embed Blocks
+  toggleCodeBlock() {
+    const range = this.quill.getSelection(true);
+    if (this.quill.getFormat(range)['code-block']) {
+      this.quill.format('code-block', false, 'user');
+      return;
+    }
+
+    const language = prompt('Code language (e.g. javascript, css, html). Leave empty for plain code:', '');
+    if (language === null) return;
+    this.quill.format('code-block', QuillEmbeds.normalizeLanguage(language) || true, 'user');
+  }
+
+  // The callout button steps through the types, then back to a plain paragraph
+  cycleCallout() {
+    const range = this.quill.getSelection(true);
+    const types = QuillEmbeds.CALLOUT_TYPES;
+    const current = this.quill.getFormat(range).callout;
+    const next = current ? types[types.indexOf(current) + 1] || false : types[0];
+
+    this.quill.format('callout', next, 'user');
+  }
+
+  async openEmbedEditor(type, value = null, index = null) {
+    const range = this.quill.getSelection();
+    const replacing = index !== null;
+
+    this.embedDraft = {
+      type: type,
+      index: replacing ? index : (range ? range.index : this.quill.getLength() - 1),
+      replacing: replacing,
+      value: value ? JSON.parse(JSON.stringify(value)) : this.defaultEmbedValue(type),
+      projects: []
+    };
+
+    document.getElementById('embedTitle').textContent = `${replacing ? 'Edit' : 'Insert'} ${this.EMBED_LABELS[type]}`;
+    document.querySelector('#confirmEmbedBtn span').textContent = replacing ? 'Update' : 'Insert';
+    document.getElementById('embedForm').innerHTML = '';
+    this.openModal('embedModal');
+
+    if (type === 'project-card') {
+      this.embedDraft.projects = await PostEmbeds.loadProjects();
+    }
+    this.renderEmbedForm();
+  }
+
+  editEmbedBlock(node) {
+    const blot = Quill.find(node);
+    if (!blot || !this.EMBED_LABELS[blot.statics.blotName]) return;
+
+    this.openEmbedEditor(blot.statics.blotName, blot.statics.value(node), this.quill.getIndex(blot));
+  }
+
+  defaultEmbedValue(type) {
+    switch (type) {
+      case 'project-card':
+        return { id: '', title: '' };
+      case 'image-compare':
+        return { before: { src: '', alt: '', caption: 'Before' }, after: { src: '', alt: '', caption: 'After' } };
+      default:
+        return { images: [] };
+    }
+  }
+
+  getEmbedImages() {
+    const { type, value } = this.embedDraft;
+    return type === 'image-compare' ? [value.before, value.after] : value.images;
+  }
+
+  renderEmbedForm() {
+    const { type, value, projects } = this.embedDraft;
+    const form = document.getElementById('embedForm');
+
+    if (type === 'project-card') {
+      form.innerHTML = `
+        <div class="form-group">
+          <label for="embedProject">Project</label>
+          <select id="embedProject">
+            <option value="">Choose a project...</option>
+            ${projects.map(project => `
+              <option value="${this.escapeHtml(project.id)}" ${project.id === value.id ? 'selected' : ''}>${this.escapeHtml(project.title)}</option>
+            `).join('')}
+          </select>
+          <span class="form-hint">The card shows the project's thumbnail, description and tags, and links to it on the projects page.</span>
+        </div>
+      `;
+      return;
+    }
+
+    const labels = type === 'image-compare' ? ['Before', 'After'] : null;
+    const images = this.getEmbedImages();
+
+    form.innerHTML = `
+      <ul class="embed-image-list">
+        ${images.length === 0 ? '<li class="media-empty">No images yet.</li>' : ''}
+        ${images.map((image, row) => `
+          <li class="embed-image-row" data-row="${row}">
+            <div class="embed-image-thumb">
+              ${image.src ? `<img src="${this.escapeHtml(image.src)}" alt="">` : '<i class="fas fa-image"></i>'}
+            </div>
+            <div class="embed-image-fields">
+              <span class="embed-image-name">${labels ? `${labels[row]}: ` : ''}${image.src ? this.escapeHtml(this.getMediaName(image)) : 'No image chosen'}</span>
+              <input type="text" data-field="alt" value="${this.escapeHtml(image.alt || '')}" placeholder="Alt text">
+              <input type="text" data-field="caption" value="${this.escapeHtml(image.caption || '')}" placeholder="${labels ? 'Label' : 'Caption (optional)'}">
+            </div>
+            <div class="embed-image-actions">
+              <button type="button" class="btn btn-outline" data-action="choose">Choose</button>
+              ${labels ? '' : `
+                <button type="button" class="btn btn-icon" data-action="remove" title="Remove">
+                  <i class="fas fa-trash"></i>
+                </button>
+              `}
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+      ${labels ? '' : `
+        <button type="button" class="link-btn" id="addEmbedImageBtn">
+          <i class="fas fa-plus"></i> Add image
+        </button>
+      `}
+    `;
+  }
+
+  chooseEmbedImage(row = null) {
+    this.openMediaLibrary((item) => {
+      const images = this.getEmbedImages();
+      let image = images[row];
+      if (!image) {
+        image = { src: '', alt: '', caption: '' };
+        images.push(image);
+      }
+
+      image.src = item.src;
+      image.name = item.name;
+      image.alt = image.alt || item.alt || '';
+
+      const sizes = this.embedDraft.type === 'gallery' ? ImageVariants.GALLERY_SIZES : ImageVariants.CONTENT_SIZES;
+      const attributes = ImageVariants.contentAttributes(item.variants, sizes);
+      image.srcset = attributes.srcset;
+      image.sizes = attributes.sizes;
+      image.sourceType = attributes['data-source-type'];
+      image.sourceSrcset = attributes['data-source-srcset'];
+
+      this.renderEmbedForm();
+    });
+  }
+
+  confirmEmbed() {
+    const { type, index, replacing } = this.embedDraft;
+    const value = this.embedDraft.value;
+    const clean = ({ src, alt, caption, srcset, sizes, sourceType, sourceSrcset }) => ({
+      src, alt, caption,
+      ...(srcset || sourceSrcset ? { sizes } : {}),
+      ...(srcset ? { srcset } : {}),
+      ...(sourceSrcset ? { sourceType, sourceSrcset } : {})
+    });
+
+    let embed;
+    if (type === 'project-card') {
+      if (!value.id) {
+        this.showToast('Please choose a project', 'error');
+        return;
+      }
+      embed = { id: value.id, title: value.title };
+    } else if (type === 'image-compare') {
+      if (!value.before.src || !value.after.src) {
+        this.showToast('Please choose both a before and an after image', 'error');
+        return;
+      }
+      embed = { before: clean(value.before), after: clean(value.after) };
+    } else {
+      const images = value.images.filter(image => image.src);
+      if (images.length < 2) {
+        this.showToast('Please add at least two images to the gallery', 'error');
+        return;
+      }
+      embed = { images: images.map(clean) };
+    }
+
+    if (replacing) {
+      this.quill.deleteText(index, 1, 'user');
+    }
+    this.quill.insertEmbed(index, type, embed, 'user');
+    this.quill.setSelection(index + 1, 0, 'silent');
+
+    this.closeModal('embedModal');
+    this.showToast(`${this.EMBED_LABELS[type]} ${replacing ? 'updated' : 'inserted'}`, 'success');
+  }
+
+  // Markdown Mode
+  setEditorMode(mode) {
+    if (mode === this.editorMode) return;
+
+    const markdownEditor = document.getElementById('markdownEditor');
+    if (mode === 'markdown') {
+      markdownEditor.value = this.markdown.fromHtml(this.quill.root.innerHTML);
+    } else {
+      this.setQuillHtml(this.markdown.toHtml(markdownEditor.value));
+    }
+
+    this.showEditorMode(mode);
+  }
+
+  showEditorMode(mode) {
+    this.editorMode = mode;
+    const isMarkdown = mode === 'markdown';
+
+    document.getElementById('richEditor').style.display = isMarkdown ? 'none' : '';
+    document.getElementById('markdownEditor').style.display = isMarkdown ? 'block' : 'none';
+    document.getElementById('markdownHint').style.display = isMarkdown ? 'block' : 'none';
+
+    document.querySelectorAll('[data-editor-mode]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.editorMode === mode);
+    });
+  }
+
+  setQuillHtml(html) {
+    this.quill.setContents(this.quill.clipboard.convert(html || ''), 'api');
+  }
+
+  // In Markdown mode the source is rendered through Quill so both modes store the same HTML
+  getContentHtml() {
+    if (this.editorMode === 'markdown') {
+      this.setQuillHtml(this.markdown.toHtml(document.getElementById('markdownEditor').value));
+    }
+    return this.quill.root.innerHTML;
+  }
+
+  // Reading Stats
+  getReadingStats() {
+    const html = this.editorMode === 'markdown'
+      ? this.markdown.toHtml(document.getElementById('markdownEditor').value)
+      : this.quill.root.innerHTML;
+    return ReadingStats.fromHtml(html);
+  }
+
+  scheduleReadingStatsUpdate() {
+    clearTimeout(this.readingStatsDebounce);
+    this.readingStatsDebounce = setTimeout(() => {
+      this.updateReadingStats();
+    }, 300);
+  }
+
+  updateReadingStats() {
+    const stats = this.getReadingStats();
+    const readTimeInput = document.getElementById('postReadTime');
+    const isManual = document.getElementById('readTimeOverride').checked;
+
+    readTimeInput.readOnly = !isManual;
+    if (!isManual) {
+      readTimeInput.value = ReadingStats.format(stats.minutes);
+    }
+
+    const parts = [`${stats.words.toLocaleString()} word${stats.words === 1 ? '' : 's'}`];
+    if (stats.images) parts.push(`${stats.images} image${stats.images === 1 ? '' : 's'}`);
+    if (stats.videos) parts.push(`${stats.videos} video${stats.videos === 1 ? '' : 's'}`);
+    if (isManual) parts.push(`estimate ${ReadingStats.format(stats.minutes)}`);
+    document.getElementById('readingStats').textContent = parts.join(' • ');
+
+    return stats;
+  }
+
   setDefaultDate() {
     const dateInput = document.getElementById('postDate');
     const today = new Date().toISOString().split('T')[0];
     dateInput.value = today;
   }
 
-  renderPostList(searchTerm = '') {
+  // Post List
+  getLastEdited(post) {
+    const revision = (this.revisions[post.id] || [])[0];
+    return post.updatedAt || (revision && revision.savedAt) || post.date || '';
+  }
+
+  getVisiblePosts() {
+    const term = document.getElementById('postSearch').value.trim();
+    const sort = document.getElementById('postSort').value;
+    const status = document.getElementById('filterStatus').value;
+    const category = document.getElementById('filterCategory').value;
+    const tag = document.getElementById('filterTag').value;
+    const featured = document.getElementById('filterFeatured').value;
+
+    // A search ranks by relevance; the sort order only applies to the full list
+    const ranked = term ? this.searchIndex.search(term).map(result => result.post) : this.posts;
+    const posts = ranked.filter(post =>
+      (!status || (post.status || 'published') === status) &&
+      (!category || BlogCategories.resolveId(this.categories, post.category) === category) &&
+      (!tag || (post.tags || []).includes(tag)) &&
+      (!featured || Boolean(post.featured) === (featured === 'featured'))
+    );
+
+    const byDate = (a, b) => (a.date || '').localeCompare(b.date || '');
+    const comparators = {
+      'date-desc': (a, b) => byDate(b, a),
+      'date-asc': byDate,
+      'title': (a, b) => a.title.localeCompare(b.title),
+      'edited': (a, b) => this.getLastEdited(b).localeCompare(this.getLastEdited(a))
+    };
+    return term ? posts : posts.sort(comparators[sort] || comparators['date-desc']);
+  }
+
+  hasPostFilters() {
+    return ['postSearch', 'filterStatus', 'filterCategory', 'filterTag', 'filterFeatured']
+      .some(id => document.getElementById(id).value.trim());
+  }
+
+  renderPostFilterOptions() {
+    const tags = [...new Set(this.posts.flatMap(post => post.tags || []))]
+      .sort((a, b) => a.localeCompare(b));
+    const categoryOptions = this.categories.map(cat => `
+      <option value="${this.escapeHtml(cat.id)}">${this.escapeHtml(cat.name)}</option>
+    `).join('');
+    const tagOptions = tags.map(tag => `<option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</option>`).join('');
+
+    const fill = (id, html) => {
+      const select = document.getElementById(id);
+      const selected = select.value;
+      select.innerHTML = html;
+      select.value = selected;
+      // The selected tag or category no longer exists
+      if (select.value !== selected) select.value = '';
+    };
+
+    fill('filterCategory', `<option value="">All categories</option>${categoryOptions}`);
+    fill('filterTag', `<option value="">All tags</option>${tagOptions}`);
+    fill('bulkCategory', `<option value="">Choose category...</option>${categoryOptions}`);
+    document.getElementById('bulkTagOptions').innerHTML = tagOptions;
+  }
+
+  renderPostList() {
     const postList = document.getElementById('postList');
-    let filteredPosts = this.posts;
 
-    if (searchTerm) {
-      const term = searchTerm.toLowerCase();
-      filteredPosts = this.posts.filter(post =>
-        post.title.toLowerCase().includes(term) ||
-        post.category.toLowerCase().includes(term)
-      );
-    }
+    // Selections survive filtering but not deletion
+    this.selectedPostIds.forEach(id => {
+      if (!this.posts.some(post => post.id === id)) this.selectedPostIds.delete(id);
+    });
 
-    if (filteredPosts.length === 0) {
+    this.renderPostFilterOptions();
+    const visiblePosts = this.getVisiblePosts();
+    this.updateBulkBar(visiblePosts);
+
+    if (visiblePosts.length === 0) {
       postList.innerHTML = `
         <li class="empty-state">
           <i class="fas fa-file-alt"></i>
-          <p>${searchTerm ? 'No posts found' : 'No blog posts yet'}</p>
+          <p>${this.hasPostFilters() ? 'No posts found' : 'No blog posts yet'}</p>
         </li>
       `;
       return;
     }
 
-    postList.innerHTML = filteredPosts.map(post => `
-      <li class="post-list-item ${post.id === this.currentPostId ? 'active' : ''}"
+    const terms = PostSearch.tokenize(document.getElementById('postSearch').value);
+    postList.innerHTML = visiblePosts.map(post => `
+      <li class="post-list-item ${post.id === this.currentPostId ? 'active' : ''} ${this.selectedPostIds.has(post.id) ? 'selected' : ''}"
           data-post-id="${post.id}">
+        <input type="checkbox" class="post-select" data-action="select" aria-label="Select ${this.escapeHtml(post.title)}"
+          ${this.selectedPostIds.has(post.id) ? 'checked' : ''}>
         <div class="post-info">
           <span class="post-title">
-            ${post.title}
+            ${terms.length ? PostSearch.highlight(post.title, terms) : post.title}
             ${post.featured ? '<span class="featured-badge"><i class="fas fa-star"></i></span>' : ''}
+            ${this.renderStatusBadge(post)}
           </span>
-          <span class="post-meta">${post.category} • ${this.formatDate(post.date)}</span>
+          <span class="post-meta">${this.getCategoryName(post.category)} • ${this.formatDate(post.date)}</span>
+          ${terms.length ? `<span class="post-snippet">${this.searchIndex.snippet(post.id, terms)}</span>` : ''}
         </div>
         <div class="post-actions">
           <button class="action-btn edit" title="Edit" data-action="edit">
@@ -141,12 +623,191 @@ class BlogEditor {
     `).join('');
   }
 
+  // Bulk Actions
+  updateBulkBar(visiblePosts = this.getVisiblePosts()) {
+    const count = this.selectedPostIds.size;
+    const selectAll = document.getElementById('selectAllPosts');
+    const visibleSelected = visiblePosts.filter(post => this.selectedPostIds.has(post.id)).length;
+
+    selectAll.checked = visiblePosts.length > 0 && visibleSelected === visiblePosts.length;
+    selectAll.indeterminate = visibleSelected > 0 && visibleSelected < visiblePosts.length;
+    document.getElementById('bulkCount').textContent = count ? `${count} selected` : 'Select all';
+    document.getElementById('bulkActions').hidden = count === 0;
+    this.updateBulkFields();
+  }
+
+  updateBulkFields() {
+    const action = document.getElementById('bulkAction').value;
+    document.getElementById('bulkCategory').hidden = action !== 'category';
+    document.getElementById('bulkTag').hidden = action !== 'add-tag' && action !== 'remove-tag';
+  }
+
+  togglePostSelection(postId, selected) {
+    if (selected) {
+      this.selectedPostIds.add(postId);
+    } else {
+      this.selectedPostIds.delete(postId);
+    }
+    this.renderPostList();
+  }
+
+  // Select all applies to the posts the current filters show
+  toggleSelectAllPosts(selected) {
+    this.getVisiblePosts().forEach(post => {
+      if (selected) {
+        this.selectedPostIds.add(post.id);
+      } else {
+        this.selectedPostIds.delete(post.id);
+      }
+    });
+    this.renderPostList();
+  }
+
+  confirmBulkAction() {
+    const action = document.getElementById('bulkAction').value;
+    const posts = this.posts.filter(post => this.selectedPostIds.has(post.id));
+    let value = '';
+
+    if (!posts.length) return;
+    if (!action) {
+      this.showToast('Choose a bulk action first', 'error');
+      return;
+    }
+    if (action === 'category') {
+      value = document.getElementById('bulkCategory').value;
+      if (!value) {
+        this.showToast('Choose a category to move the posts to', 'error');
+        return;
+      }
+    }
+    if (action === 'add-tag' || action === 'remove-tag') {
+      value = document.getElementById('bulkTag').value.trim();
+      if (!value) {
+        this.showToast('Enter a tag', 'error');
+        return;
+      }
+    }
+
+    const count = `${posts.length} post${posts.length === 1 ? '' : 's'}`;
+    const summaries = {
+      'category': `Move ${count} to "${this.getCategoryName(value)}"?`,
+      'add-tag': `Add the tag "${value}" to ${count}?`,
+      'remove-tag': `Remove the tag "${value}" from ${count}?`,
+      'feature': `Feature ${count}?`,
+      'unfeature': `Unfeature ${count}?`,
+      'delete': `Delete ${count}?`
+    };
+
+    document.getElementById('bulkSummary').textContent = summaries[action];
+    document.getElementById('bulkPostList').innerHTML = posts
+      .map(post => `<li>${this.escapeHtml(post.title)}</li>`)
+      .join('');
+    document.getElementById('bulkWarning').hidden = action !== 'delete';
+    const confirmBtn = document.getElementById('confirmBulkBtn');
+    confirmBtn.className = `btn ${action === 'delete' ? 'btn-danger' : 'btn-primary'}`;
+    confirmBtn.textContent = action === 'delete' ? 'Delete' : 'Apply';
+
+    this.pendingBulkAction = { action, value, postIds: posts.map(post => post.id) };
+    this.openModal('bulkModal');
+  }
+
+  applyBulkAction() {
+    if (!this.pendingBulkAction) return;
+    const { action, value, postIds } = this.pendingBulkAction;
+    this.pendingBulkAction = null;
+
+    // Keep unsaved work on the open post before touching it
+    this.flushAutosave();
+
+    if (action === 'delete') {
+      this.posts = this.posts.filter(post => !postIds.includes(post.id));
+      postIds.forEach(postId => {
+        this.searchIndex.remove(postId);
+        delete this.revisions[postId];
+        this.clearDraft(postId);
+      });
+      this.persistRevisions();
+
+      if (postIds.includes(this.currentPostId)) {
+        this.currentPostId = null;
+        this.clearForm();
+      }
+    } else {
+      const updatedAt = new Date().toISOString();
+      this.posts.forEach(post => {
+        if (!postIds.includes(post.id)) return;
+        this.applyBulkChange(post, action, value);
+        post.updatedAt = updatedAt;
+        this.recordRevision(post);
+        this.searchIndex.add(post);
+      });
+
+      if (postIds.includes(this.currentPostId)) {
+        this.applyBulkChangeToForm(action, value);
+      }
+    }
+
+    this.selectedPostIds.clear();
+    document.getElementById('bulkAction').value = '';
+    document.getElementById('bulkTag').value = '';
+    this.renderPostList();
+    this.closeModal('bulkModal');
+    this.showToast(`${postIds.length} post${postIds.length === 1 ? '' : 's'} ${action === 'delete' ? 'deleted' : 'updated'}`, 'success');
+
+    // One download for the whole batch
+    this.promptDownload();
+  }
+
+  applyBulkChange(post, action, value) {
+    const tags = post.tags || [];
+    switch (action) {
+      case 'category':
+        post.category = value;
+        break;
+      case 'add-tag':
+        post.tags = tags.includes(value) ? tags : [...tags, value];
+        break;
+      case 'remove-tag':
+        post.tags = tags.filter(tag => tag !== value);
+        break;
+      case 'feature':
+      case 'unfeature':
+        post.featured = action === 'feature';
+        break;
+    }
+  }
+
+  // Mirrors a bulk change into the open form without discarding other unsaved edits
+  applyBulkChangeToForm(action, value) {
+    if (action === 'category') {
+      document.getElementById('postCategory').value = value;
+    } else if (action === 'add-tag') {
+      this.addTag(value);
+    } else if (action === 'remove-tag') {
+      this.removeTag(value);
+    } else {
+      document.getElementById('postFeatured').checked = action === 'feature';
+    }
+  }
+
   loadPost(postId) {
     const post = this.posts.find(p => p.id === postId);
     if (!post) return;
 
+    // Keep unsaved work on the post we are leaving
+    this.flushAutosave();
+
     this.currentPostId = postId;
+    this.fillForm(post);
 
+    // Update post list to show active
+    this.renderPostList();
+
+    this.showToast('Post loaded', 'info');
+    this.checkForDraft(postId);
+  }
+
+  fillForm(post) {
     // Fill form fields
     document.getElementById('postId').value = post.id;
     document.getElementById('postTitle').value = post.title;
@@ -155,11 +816,15 @@ class BlogEditor {
     document.getElementById('postExcerpt').value = post.excerpt;
     document.getElementById('postAuthor').value = post.author || 'Gary';
     document.getElementById('postCategory').value = post.category;
-    document.getElementById('postReadTime').value = post.readTime || '5 min read';
+    document.getElementById('readTimeOverride').checked = Boolean(post.readTimeManual);
+    document.getElementById('postReadTime').value = post.readTime || '';
     document.getElementById('postFeatured').checked = post.featured || false;
+    this.setStatusFields(post.status || 'published', post.publishAt);
 
-    // Load content into Quill
+    // Load content into Quill (posts with a Markdown source open in Markdown mode)
     this.quill.root.innerHTML = post.content || '';
+    document.getElementById('markdownEditor').value = post.contentMarkdown || '';
+    this.showEditorMode(post.contentMarkdown ? 'markdown' : 'rich');
 
     // Load tags
     this.tags = post.tags || [];
@@ -169,18 +834,20 @@ class BlogEditor {
     if (post.image) {
       document.getElementById('imageUrl').value = post.image;
       this.showImagePreview(post.image);
+      this.featuredImageVariants = post.imageVariants || [];
     } else {
       this.clearImagePreview();
     }
 
-    // Update post list to show active
-    this.renderPostList();
-
-    this.showToast('Post loaded', 'info');
+    this.updateReadingStats();
+    this.hideLintPanel();
+    this.updateSlugHint();
   }
 
   createNewPost() {
+    this.flushAutosave();
     this.currentPostId = null;
+    this.newDraftKey = this.createDraftKey();
     this.clearForm();
     this.renderPostList();
     this.showToast('New post created', 'info');
@@ -190,20 +857,27 @@ class BlogEditor {
     document.getElementById('postForm').reset();
     document.getElementById('postId').value = '';
     this.quill.root.innerHTML = '';
+    document.getElementById('markdownEditor').value = '';
+    this.showEditorMode('rich');
     this.tags = [];
     this.renderTags();
     this.clearImagePreview();
     this.setDefaultDate();
     document.getElementById('postAuthor').value = 'Gary';
-    document.getElementById('postReadTime').value = '5 min read';
+    document.getElementById('readTimeOverride').checked = false;
+    this.setStatusFields('published');
+    this.updateReadingStats();
+    this.hideLintPanel();
+    this.updateSlugHint();
   }
 
-  savePost() {
+  async savePost({ promptDownload = true } = {}) {
     // Get form values
     const title = document.getElementById('postTitle').value.trim();
     const excerpt = document.getElementById('postExcerpt').value.trim();
-    const content = this.quill.root.innerHTML;
+    const content = this.getContentHtml();
     const category = document.getElementById('postCategory').value;
+    const draftKey = this.getDraftKey();
 
     // Validate
     if (!title || !excerpt || !content || !category) {
@@ -211,6 +885,13 @@ class BlogEditor {
       return;
     }
 
+    const status = document.getElementById('postStatus').value;
+    const publishAtValue = document.getElementById('postPublishAt').value;
+    if (status === 'scheduled' && !publishAtValue) {
+      this.showToast('Please choose when the scheduled post goes live', 'error');
+      return;
+    }
+
     // Generate slug from title if not provided
     let slug = document.getElementById('postSlug').value.trim();
     if (!slug) {
@@ -224,6 +905,19 @@ class BlogEditor {
       image = this.featuredImageData;
     }
 
+    // Errors block the save; warnings are shown alongside it
+    const issues = await this.lintPost({ title, slug, excerpt, content, image });
+    if (issues.some(issue => issue.severity === 'error')) {
+      this.showToast('Fix the errors in the content check before saving', 'error');
+      return;
+    }
+
+    // Read time is computed from the content unless manually overridden
+    const stats = this.updateReadingStats();
+    const readTimeManual = document.getElementById('readTimeOverride').checked
+      ? document.getElementById('postReadTime').value.trim()
+      : '';
+
     const postData = {
       id: this.currentPostId || slug,
       title: title,
@@ -235,10 +929,37 @@ class BlogEditor {
       category: category,
       tags: this.tags,
       featured: document.getElementById('postFeatured').checked,
+      status: status,
       image: image,
-      readTime: document.getElementById('postReadTime').value || '5 min read'
+      wordCount: stats.words,
+      readTime: readTimeManual || ReadingStats.format(stats.minutes),
+      updatedAt: new Date().toISOString()
     };
 
+    if (readTimeManual) {
+      postData.readTimeManual = true;
+    }
+
+    if (this.featuredImageVariants.length > 1) {
+      postData.imageVariants = this.featuredImageVariants;
+    }
+
+    if (status === 'scheduled') {
+      postData.publishAt = new Date(publishAtValue).toISOString();
+    }
+
+    // Keep the Markdown source so the post reopens in Markdown mode
+    if (this.editorMode === 'markdown') {
+      postData.contentMarkdown = document.getElementById('markdownEditor').value;
+    }
+
+    // Old slugs keep resolving on the blog after a rename
+    const savedPost = this.posts.find(p => p.id === this.currentPostId);
+    const previousSlugs = PostSlugs.history(savedPost, slug);
+    if (previousSlugs.length) {
+      postData.previousSlugs = previousSlugs;
+    }
+
     if (this.currentPostId) {
       // Update existing post
       const index = this.posts.findIndex(p => p.id === this.currentPostId);
@@ -246,23 +967,27 @@ class BlogEditor {
         this.posts[index] = postData;
       }
     } else {
-      // Check for duplicate ID
+      // Check for duplicate ID (a renamed post can still hold this slug as its id)
       if (this.posts.some(p => p.id === postData.id)) {
         postData.id = postData.id + '-' + Date.now();
-        postData.slug = postData.id;
       }
       this.posts.unshift(postData);
       this.currentPostId = postData.id;
     }
+    this.searchIndex.add(postData);
 
+    this.recordRevision(postData);
     this.renderPostList();
+    this.updateSlugHint();
     this.showToast('Post saved successfully!', 'success');
 
     // Clear the autosaved draft since we just saved
-    this.clearDraft();
+    this.clearDraft(draftKey);
 
-    // Prompt to download
-    this.promptDownload();
+    // Prompt to download (the save shortcut skips it)
+    if (promptDownload) {
+      this.promptDownload();
+    }
   }
 
   deletePost(postId) {
@@ -277,6 +1002,10 @@ class BlogEditor {
   confirmDelete() {
     const postId = document.getElementById('deleteModal').dataset.postId;
     this.posts = this.posts.filter(p => p.id !== postId);
+    this.searchIndex.remove(postId);
+    delete this.revisions[postId];
+    this.persistRevisions();
+    this.clearDraft(postId);
 
     if (this.currentPostId === postId) {
       this.currentPostId = null;
@@ -289,6 +1018,116 @@ class BlogEditor {
     this.promptDownload();
   }
 
+  // Post Status
+  setStatusFields(status, publishAt = '') {
+    document.getElementById('postStatus').value = status;
+    document.getElementById('postPublishAt').value = publishAt ? this.toDateTimeLocal(publishAt) : '';
+    this.updatePublishAtVisibility();
+  }
+
+  updatePublishAtVisibility() {
+    const isScheduled = document.getElementById('postStatus').value === 'scheduled';
+    document.getElementById('publishAtGroup').style.display = isScheduled ? '' : 'none';
+  }
+
+  // ISO timestamp -> value for a datetime-local input, in the editor's time zone
+  toDateTimeLocal(isoString) {
+    const date = new Date(isoString);
+    if (isNaN(date)) return '';
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date - offset).toISOString().slice(0, 16);
+  }
+
+  renderStatusBadge(post) {
+    const status = post.status || 'published';
+    if (status === 'published') return '';
+
+    if (status === 'scheduled') {
+      const publishAt = new Date(post.publishAt);
+      const label = publishAt > new Date() ? `Scheduled ${this.formatDate(post.publishAt)}` : 'Live';
+      return `<span class="status-badge scheduled" title="${publishAt.toLocaleString()}">${label}</span>`;
+    }
+
+    return '<span class="status-badge draft">Draft</span>';
+  }
+
+  // Content Check
+  getLintTarget() {
+    const title = document.getElementById('postTitle').value.trim();
+    const image = this.featuredImageData || document.getElementById('imageUrl').value.trim();
+
+    return {
+      title: title,
+      slug: document.getElementById('postSlug').value.trim() || this.generateSlug(title),
+      excerpt: document.getElementById('postExcerpt').value.trim(),
+      content: this.getContentHtml(),
+      image: image
+    };
+  }
+
+  // A clean save doesn't need the panel; an on-demand check always shows it
+  async lintPost(post, alwaysShow = false) {
+    const issues = await this.linter.lint(post, {
+      posts: this.posts,
+      currentPostId: this.currentPostId
+    });
+    this.renderLintResults(issues, alwaysShow || issues.length > 0);
+    return issues;
+  }
+
+  runContentCheck() {
+    return this.lintPost(this.getLintTarget(), true);
+  }
+
+  renderLintResults(issues, show) {
+    const panel = document.getElementById('lintPanel');
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const warnings = issues.length - errors;
+
+    const parts = [];
+    if (errors) parts.push(`${errors} error${errors === 1 ? '' : 's'}`);
+    if (warnings) parts.push(`${warnings} warning${warnings === 1 ? '' : 's'}`);
+    document.getElementById('lintSummary').textContent = parts.length ? parts.join(', ') : 'No problems found';
+
+    document.getElementById('lintList').innerHTML = issues.map(issue => `
+      <li class="lint-item ${issue.severity}" data-rule="${issue.rule}">
+        <i class="fas ${issue.severity === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}"></i>
+        <span>${this.escapeHtml(issue.message)}</span>
+      </li>
+    `).join('');
+
+    panel.classList.toggle('has-errors', errors > 0);
+    if (show) {
+      panel.style.display = '';
+    }
+  }
+
+  hideLintPanel() {
+    document.getElementById('lintPanel').style.display = 'none';
+  }
+
+  // Live feedback under the slug field about clashes and redirects
+  updateSlugHint() {
+    const hint = document.getElementById('slugHint');
+    const slug = document.getElementById('postSlug').value.trim();
+    const savedPost = this.posts.find(p => p.id === this.currentPostId);
+    const [collision] = PostSlugs.collisions(this.posts, slug, this.currentPostId)
+      .sort((a, b) => a.historic - b.historic);
+
+    hint.classList.remove('is-error', 'is-warning');
+    if (collision && !collision.historic) {
+      hint.classList.add('is-error');
+      hint.textContent = `Already used by "${collision.post.title}"`;
+    } else if (collision) {
+      hint.classList.add('is-warning');
+      hint.textContent = `Previously used by "${collision.post.title}"; its old links will open this post`;
+    } else if (savedPost && slug && PostSlugs.slugOf(savedPost) !== slug) {
+      hint.textContent = `Links to "${PostSlugs.slugOf(savedPost)}" will redirect here`;
+    } else {
+      hint.textContent = 'Auto-generated from title';
+    }
+  }
+
   generateSlug(title) {
     return title
       .toLowerCase()
@@ -301,11 +1140,124 @@ class BlogEditor {
     return new Date(dateString).toLocaleDateString('en-US', options);
   }
 
-  // Tags Management
-  addTag(tag) {
-    tag = tag.trim();
-    if (tag && !this.tags.includes(tag)) {
-      this.tags.push(tag);
+  // Category Management
+  getCategoryName(categoryId) {
+    return BlogCategories.nameFor(this.categories, categoryId);
+  }
+
+  renderCategoryOptions() {
+    const select = document.getElementById('postCategory');
+    const selected = select.value;
+
+    select.innerHTML = `
+      <option value="">Select category...</option>
+      ${this.categories.map(cat => `
+        <option value="${this.escapeHtml(cat.id)}">${this.escapeHtml(cat.name)}</option>
+      `).join('')}
+    `;
+    select.value = selected;
+  }
+
+  showCategoryManager() {
+    this.renderCategoryManager();
+    this.openModal('categoriesModal');
+  }
+
+  renderCategoryManager() {
+    const counts = BlogCategories.counts(this.posts, this.categories);
+    const list = document.getElementById('categoryManagerList');
+
+    if (this.categories.length === 0) {
+      list.innerHTML = `
+        <li class="empty-state">
+          <i class="fas fa-folder-open"></i>
+          <p>No categories yet</p>
+        </li>
+      `;
+      return;
+    }
+
+    list.innerHTML = this.categories.map(cat => `
+      <li class="category-row" data-category-id="${this.escapeHtml(cat.id)}">
+        <div class="category-fields">
+          <input type="text" data-field="name" value="${this.escapeHtml(cat.name)}" aria-label="Category name">
+          <input type="text" data-field="description" value="${this.escapeHtml(cat.description)}" placeholder="Description" aria-label="Category description">
+        </div>
+        <div class="category-info">
+          <code>${this.escapeHtml(cat.id)}</code>
+          <span>${counts.get(cat.id) || 0} post${counts.get(cat.id) === 1 ? '' : 's'}</span>
+        </div>
+        <button type="button" class="action-btn delete" data-action="delete-category" title="Delete category">
+          <i class="fas fa-trash"></i>
+        </button>
+      </li>
+    `).join('');
+  }
+
+  addCategory() {
+    const nameInput = document.getElementById('newCategoryName');
+    const descriptionInput = document.getElementById('newCategoryDescription');
+    const name = nameInput.value.trim();
+
+    if (!name) {
+      this.showToast('Please enter a category name', 'error');
+      return;
+    }
+    if (this.categories.some(cat => cat.name.toLowerCase() === name.toLowerCase())) {
+      this.showToast('A category with that name already exists', 'error');
+      return;
+    }
+
+    // The id is fixed at creation so renaming never breaks post references
+    this.categories.push({
+      id: BlogCategories.uniqueId(this.categories, name),
+      name: name,
+      description: descriptionInput.value.trim()
+    });
+
+    nameInput.value = '';
+    descriptionInput.value = '';
+    this.afterCategoryChange('Category added');
+  }
+
+  updateCategory(categoryId, field, value) {
+    const category = this.categories.find(cat => cat.id === categoryId);
+    if (!category) return;
+
+    value = value.trim();
+    if (field === 'name' && !value) {
+      this.showToast('Category name cannot be empty', 'error');
+      this.renderCategoryManager();
+      return;
+    }
+
+    category[field] = value;
+    this.afterCategoryChange('Category updated');
+  }
+
+  deleteCategory(categoryId) {
+    const count = BlogCategories.counts(this.posts, this.categories).get(categoryId) || 0;
+    if (count > 0) {
+      this.showToast(`Move the ${count} post${count === 1 ? '' : 's'} in this category first`, 'error');
+      return;
+    }
+
+    this.categories = this.categories.filter(cat => cat.id !== categoryId);
+    this.afterCategoryChange('Category deleted');
+  }
+
+  afterCategoryChange(message) {
+    this.renderCategoryOptions();
+    this.renderCategoryManager();
+    this.renderPostList();
+    this.showToast(message, 'success');
+  }
+
+  // Tags Management
+  addTag(tag) {
+    tag = tag.trim();
+    if (tag && !this.tags.includes(tag)) {
+      this.tags.push(tag);
       this.renderTags();
     }
   }
@@ -329,16 +1281,16 @@ class BlogEditor {
   showPreview() {
     const title = document.getElementById('postTitle').value || 'Untitled Post';
     const excerpt = document.getElementById('postExcerpt').value || '';
-    const content = this.quill.root.innerHTML;
-    const category = document.getElementById('postCategory').value || 'Uncategorized';
+    const content = this.getContentHtml();
+    const category = this.getCategoryName(document.getElementById('postCategory').value);
     const date = document.getElementById('postDate').value;
     const author = document.getElementById('postAuthor').value || 'Gary';
-    const readTime = document.getElementById('postReadTime').value || '5 min read';
+    const readTime = document.getElementById('postReadTime').value || ReadingStats.format(this.getReadingStats().minutes);
     const image = document.getElementById('imageUrl').value || this.featuredImageData;
 
     const previewContainer = document.getElementById('previewContainer');
     previewContainer.innerHTML = `
-      ${image ? `<img src="${image}" alt="${title}" class="preview-image">` : ''}
+      ${image ? ImageVariants.picture(image, this.featuredImageVariants, ImageVariants.CONTENT_SIZES, `alt="${title}" class="preview-image"`) : ''}
       <div class="preview-meta">
         <span class="preview-category">${category}</span>
         <span>${this.formatDate(date)}</span>
@@ -347,7 +1299,7 @@ class BlogEditor {
       </div>
       <h1 class="preview-title">${title}</h1>
       <p class="preview-excerpt">${excerpt}</p>
-      <div class="preview-content">${content}</div>
+      <div class="preview-content">${ImageVariants.withPictures(content)}</div>
       ${this.tags.length > 0 ? `
         <div class="preview-tags">
           ${this.tags.map(tag => `<span class="preview-tag">${tag}</span>`).join('')}
@@ -355,41 +1307,294 @@ class BlogEditor {
       ` : ''}
     `;
 
+    PostEmbeds.hydrate(previewContainer.querySelector('.preview-content'));
     this.openModal('previewModal');
   }
 
   // Image Upload Methods
-  handleImageUpload(file) {
+  async handleImageUpload(file) {
     console.log('handleImageUpload called with file:', file);
 
+    const upload = await this.readImageFile(file);
+    if (!upload) return;
+
+    this.featuredImageData = upload.src;
+    this.featuredImageVariants = upload.variants;
+    this.showImagePreview(upload.src);
+    this.showUploadToast(upload);
+  }
+
+  // Validates, resizes and reads an image, adding it to the session's media library uploads
+  async readImageFile(file) {
     // Validate file type
     if (!file.type.startsWith('image/')) {
       this.showToast('Please upload an image file', 'error');
-      return;
+      return null;
     }
 
-    // Validate file size (max 5MB)
-    const maxSize = 5 * 1024 * 1024; // 5MB
+    const canProcess = this.imageProcessor.canProcess(file);
+    const maxSize = canProcess ? this.MAX_PROCESSED_UPLOAD_SIZE : this.MAX_UPLOAD_SIZE;
     if (file.size > maxSize) {
-      this.showToast('Image must be less than 5MB', 'error');
-      return;
+      this.showToast(`Image must be less than ${ImageProcessor.formatBytes(maxSize)}`, 'error');
+      return null;
     }
 
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      console.log('FileReader onload - image loaded successfully');
-      this.featuredImageData = e.target.result;
-      this.showImagePreview(e.target.result);
-      this.showToast('Image uploaded successfully!', 'success');
+    const upload = {
+      src: null,
+      name: file.name,
+      alt: '',
+      source: 'Uploaded this session',
+      variants: [],
+      savings: ''
     };
 
-    reader.onerror = (e) => {
-      console.error('FileReader error:', e);
+    try {
+      if (canProcess) {
+        const result = await this.imageProcessor.process(file);
+        upload.src = result.src;
+        upload.variants = result.variants;
+        upload.savings = ImageProcessor.describeSavings(result);
+      } else {
+        upload.src = await this.imageProcessor.toDataUrl(file);
+      }
+    } catch (error) {
+      console.error('Error processing image file:', error);
       this.showToast('Error reading image file', 'error');
-    };
+      return null;
+    }
+
+    console.log('Image loaded successfully:', upload.savings || file.name);
+    this.sessionUploads.unshift(upload);
+    return upload;
+  }
+
+  showUploadToast(upload) {
+    if (upload.savings) {
+      this.showToast(`Image optimized: ${upload.savings}`, 'success');
+    } else {
+      this.showToast('Image uploaded successfully!', 'success');
+    }
+  }
+
+  // Media Library
+  async openMediaLibrary(onPick = null) {
+    // Opening the modal takes focus from Quill, so remember where to insert
+    const range = this.quill.getSelection();
+    this.mediaInsertIndex = range ? range.index : null;
+    this.mediaPickHandler = onPick;
+    this.selectedMediaIndex = null;
+    document.getElementById('mediaSearch').value = '';
+
+    this.openModal('mediaModal');
+    this.mediaItems = await this.collectMediaItems();
+    this.renderMediaLibrary();
+  }
+
+  async collectMediaItems() {
+    const projectImages = await this.loadProjectImages();
+    const seen = new Set();
+
+    return [
+      ...this.sessionUploads,
+      ...this.collectBlogImages(),
+      ...projectImages
+    ].filter(item => !seen.has(item.src) && seen.add(item.src));
+  }
+
+  async loadProjectImages() {
+    const projects = await PostEmbeds.loadProjects();
+
+    return projects.flatMap(project =>
+      [...(project.images || []), { src: project.thumbnail, alt: project.title }]
+        .filter(image => image && image.src)
+        .map(image => ({
+          src: image.src,
+          alt: image.alt || '',
+          source: `Project: ${project.title}`
+        }))
+    );
+  }
+
+  // Featured and inline images from the current posts; unsaved uploads come from the session list
+  collectBlogImages() {
+    const parser = new DOMParser();
+
+    return this.posts.flatMap(post => {
+      const doc = parser.parseFromString(post.content || '', 'text/html');
+      const inline = Array.from(doc.querySelectorAll('img')).map(img => ({
+        src: img.getAttribute('src'),
+        alt: img.getAttribute('alt') || ''
+      }));
+
+      return [{ src: post.image, alt: post.title, variants: post.imageVariants || [] }, ...inline]
+        .filter(image => image.src && !image.src.startsWith('data:'))
+        .map(image => ({ ...image, source: `Post: ${post.title}` }));
+    });
+  }
+
+  getMediaName(item) {
+    if (item.name) return item.name;
+    if (item.src.startsWith('data:')) return 'Uploaded image';
+    const file = item.src.split('/').pop();
+    try {
+      return decodeURIComponent(file);
+    } catch (error) {
+      return file;
+    }
+  }
+
+  renderMediaLibrary() {
+    const term = document.getElementById('mediaSearch').value.trim().toLowerCase();
+    const matches = this.mediaItems
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => !term || [
+        this.getMediaName(item),
+        item.alt,
+        item.source,
+        item.src.startsWith('data:') ? '' : item.src
+      ].some(value => value.toLowerCase().includes(term)));
+
+    const grid = document.getElementById('mediaGrid');
+    if (matches.length === 0) {
+      grid.innerHTML = `<li class="media-empty">${term ? 'No images match your search' : 'No images yet. Upload one to get started.'}</li>`;
+    } else {
+      grid.innerHTML = matches.map(({ item, index }) => `
+        <li class="media-item ${index === this.selectedMediaIndex ? 'active' : ''}" data-index="${index}" title="${this.escapeHtml(item.source)}">
+          <img src="${this.escapeHtml(item.src)}" alt="${this.escapeHtml(item.alt)}" loading="lazy">
+          <span class="media-name">${this.escapeHtml(this.getMediaName(item))}</span>
+        </li>
+      `).join('');
+    }
+
+    this.renderMediaDetails();
+  }
+
+  renderMediaDetails() {
+    const details = document.getElementById('mediaDetails');
+    const item = this.mediaItems[this.selectedMediaIndex];
+
+    if (!item) {
+      details.innerHTML = this.mediaPickHandler
+        ? '<p>Select an image for the block.</p>'
+        : '<p>Select an image to insert it at the cursor or use it as the featured image.</p>';
+      return;
+    }
+
+    const location = item.src.startsWith('data:')
+      ? `${this.getMediaName(item)} (committed with the post)`
+      : item.src;
+    const widths = [...new Set((item.variants || []).map(variant => variant.width))];
+    const formats = [...new Set((item.variants || []).map(variant => (variant.type || '').split('/')[1]).filter(Boolean))];
+    const variants = widths.length > 1 || formats.length > 1
+      ? `<br>${widths.map(width => `${width}px`).join(', ')}${formats.length ? ` • ${formats.join(', ').toUpperCase()}` : ''}`
+      : '';
+
+    details.innerHTML = `
+      <img src="${this.escapeHtml(item.src)}" alt="${this.escapeHtml(item.alt)}">
+      <p class="media-path">${this.escapeHtml(location)}<br>${this.escapeHtml(item.source)}${variants}</p>
+      <div class="form-group">
+        <label for="mediaAlt">Alt Text</label>
+        <input type="text" id="mediaAlt" value="${this.escapeHtml(item.alt)}" placeholder="Describe the image...">
+      </div>
+      ${this.mediaPickHandler ? `
+        <button type="button" class="btn btn-primary" id="mediaPickBtn">
+          <i class="fas fa-check"></i> Use This Image
+        </button>
+      ` : `
+        <button type="button" class="btn btn-primary" id="mediaInsertBtn">
+          <i class="fas fa-plus"></i> Insert into Post
+        </button>
+        <button type="button" class="btn btn-outline" id="mediaFeaturedBtn">
+          <i class="fas fa-star"></i> Set as Featured Image
+        </button>
+      `}
+    `;
+  }
+
+  pickMediaImage() {
+    const item = this.mediaItems[this.selectedMediaIndex];
+    const handler = this.mediaPickHandler;
+    if (!item || !handler) return;
+
+    this.mediaPickHandler = null;
+    this.closeModal('mediaModal');
+    handler(item);
+  }
+
+  selectMediaItem(index) {
+    this.selectedMediaIndex = index;
+    document.querySelectorAll('#mediaGrid .media-item').forEach(el => {
+      el.classList.toggle('active', Number(el.dataset.index) === index);
+    });
+    this.renderMediaDetails();
+  }
+
+  insertMediaImage() {
+    const item = this.mediaItems[this.selectedMediaIndex];
+    if (!item) return;
+
+    if (this.editorMode === 'markdown') {
+      this.insertMarkdownImage(item.src, item.alt, item.variants);
+    } else {
+      const index = this.mediaInsertIndex !== null ? this.mediaInsertIndex : this.quill.getLength() - 1;
+      this.quill.insertEmbed(index, 'image', item.src, 'user');
+
+      const attributes = {};
+      if (item.alt) {
+        attributes.alt = item.alt;
+      }
+      Object.assign(attributes, ImageVariants.contentAttributes(item.variants, ImageVariants.CONTENT_SIZES));
+      this.quill.formatText(index, 1, attributes, 'user');
+      this.quill.setSelection(index + 1, 0, 'silent');
+    }
+
+    this.closeModal('mediaModal');
+    this.showToast('Image inserted', 'success');
+  }
+
+  insertMarkdownImage(src, alt, variants) {
+    const textarea = document.getElementById('markdownEditor');
+    const img = document.createElement('img');
+    img.setAttribute('src', src);
+    if (alt) img.setAttribute('alt', alt);
+    Object.entries(ImageVariants.contentAttributes(variants, ImageVariants.CONTENT_SIZES)).forEach(([name, value]) => {
+      img.setAttribute(name, value);
+    });
+
+    const before = textarea.value.slice(0, textarea.selectionStart);
+    const prefix = before && !before.endsWith('\n') ? '\n' : '';
+    textarea.setRangeText(`${prefix}${this.markdown.fromHtml(`<p>${img.outerHTML}</p>`).trim()}\n`,
+      textarea.selectionStart, textarea.selectionEnd, 'end');
+    textarea.dispatchEvent(new Event('input'));
+  }
+
+  setFeaturedFromLibrary() {
+    const item = this.mediaItems[this.selectedMediaIndex];
+    if (!item) return;
 
-    reader.readAsDataURL(file);
+    if (item.src.startsWith('data:')) {
+      this.featuredImageData = item.src;
+      document.getElementById('imageUrl').value = '';
+    } else {
+      this.featuredImageData = null;
+      document.getElementById('imageUrl').value = item.src;
+    }
+    this.featuredImageVariants = item.variants || [];
+    this.showImagePreview(item.src);
+
+    this.closeModal('mediaModal');
+    this.showToast('Featured image updated', 'success');
+  }
+
+  async uploadToMediaLibrary(file) {
+    const upload = await this.readImageFile(file);
+    if (!upload) return;
+
+    this.mediaItems = await this.collectMediaItems();
+    document.getElementById('mediaSearch').value = '';
+    this.selectedMediaIndex = this.mediaItems.indexOf(upload);
+    this.renderMediaLibrary();
+    this.showUploadToast(upload);
   }
 
   showImagePreview(imageUrl) {
@@ -462,6 +1667,7 @@ class BlogEditor {
 
     // Clear data
     this.featuredImageData = null;
+    this.featuredImageVariants = [];
     document.getElementById('imageUrl').value = '';
     document.getElementById('featuredImage').value = '';
   }
@@ -493,50 +1699,94 @@ class BlogEditor {
     }
   }
 
-  autosaveDraft() {
+  createDraftKey() {
+    return `new-${Date.now().toString(36)}`;
+  }
+
+  // Drafts of saved posts are keyed by post ID, unsaved new posts by a session key
+  getDraftKey() {
+    return this.currentPostId || this.newDraftKey;
+  }
+
+  flushAutosave() {
+    if (this.autosaveDebounce) {
+      clearTimeout(this.autosaveDebounce);
+      this.autosaveDebounce = null;
+      this.autosaveDraft();
+    }
+  }
+
+  async autosaveDraft() {
     // Get current form data
     const draftData = this.getCurrentFormData();
+    const key = this.getDraftKey();
+    const postId = this.currentPostId;
 
     // Only save if there's meaningful content
-    if (!draftData.title && !draftData.content) {
+    const hasContent = draftData.content && draftData.content !== '<p><br></p>';
+    if (!draftData.title && !hasContent && !draftData.contentMarkdown) {
       return;
     }
 
     try {
-      const draft = {
+      // Nothing to keep if the form still matches the saved post
+      if (this.isUnchangedFromSaved(draftData, postId)) {
+        await this.drafts.delete(key);
+        return;
+      }
+
+      await this.drafts.put({
+        key: key,
         data: draftData,
         savedAt: new Date().toISOString(),
-        postId: this.currentPostId
-      };
-
-      localStorage.setItem(this.AUTOSAVE_KEY, JSON.stringify(draft));
+        postId: postId
+      });
 
       // Show autosave indicator
       this.showAutosaveIndicator();
       console.log('Draft autosaved at', new Date().toLocaleTimeString());
     } catch (error) {
       console.error('Autosave error:', error);
-      // Handle localStorage quota exceeded
-      if (error.name === 'QuotaExceededError') {
-        this.showToast('Storage full - clearing old drafts', 'warning');
-        this.clearOldDrafts();
+      if (error && error.name === 'QuotaExceededError') {
+        this.showToast('Storage full - clearing expired drafts', 'error');
+        this.clearExpiredDrafts();
       }
     }
   }
 
+  isUnchangedFromSaved(data, postId) {
+    const post = postId && this.posts.find(p => p.id === postId);
+    if (!post) return false;
+
+    return data.title === post.title &&
+      data.excerpt === post.excerpt &&
+      data.content === post.content &&
+      data.contentMarkdown === (post.contentMarkdown || '') &&
+      data.category === post.category &&
+      data.date === post.date &&
+      data.featured === Boolean(post.featured) &&
+      data.status === (post.status || 'published') &&
+      (data.tags || []).join('\n') === (post.tags || []).join('\n');
+  }
+
   getCurrentFormData() {
     return {
       title: document.getElementById('postTitle')?.value || '',
       slug: document.getElementById('postSlug')?.value || '',
       excerpt: document.getElementById('postExcerpt')?.value || '',
       content: this.quill?.root?.innerHTML || '',
+      contentMarkdown: this.editorMode === 'markdown' ? document.getElementById('markdownEditor')?.value || '' : '',
       author: document.getElementById('postAuthor')?.value || '',
       date: document.getElementById('postDate')?.value || '',
       category: document.getElementById('postCategory')?.value || '',
       readTime: document.getElementById('postReadTime')?.value || '',
+      readTimeManual: document.getElementById('readTimeOverride')?.checked || false,
       featured: document.getElementById('postFeatured')?.checked || false,
+      status: document.getElementById('postStatus')?.value || 'published',
+      publishAt: document.getElementById('postPublishAt')?.value || '',
       imageUrl: document.getElementById('imageUrl')?.value || '',
       featuredImageData: this.featuredImageData,
+      featuredImageVariants: this.featuredImageVariants,
       tags: this.tags || []
     };
   }
@@ -589,31 +1839,50 @@ class BlogEditor {
     }, 2000);
   }
 
-  checkForDraft() {
-    try {
-      const draftJson = localStorage.getItem(this.AUTOSAVE_KEY);
-      if (!draftJson) return;
+  isDraftExpired(draft) {
+    const expiryDate = new Date();
+    expiryDate.setDate(expiryDate.getDate() - this.DRAFT_EXPIRY_DAYS);
+    return !draft.savedAt || new Date(draft.savedAt) < expiryDate;
+  }
 
-      const draft = JSON.parse(draftJson);
+  // Lists every pending draft, or only the draft of one post when postId is given
+  async checkForDraft(postId = null) {
+    try {
+      const drafts = await this.drafts.getAll();
+      const pending = [];
+
+      // Expiry is checked per draft, so one stale draft never hides the others
+      for (const draft of drafts) {
+        if (this.isDraftExpired(draft)) {
+          console.log('Draft expired, removing...', draft.key);
+          await this.drafts.delete(draft.key);
+        } else if (!postId || draft.key === postId) {
+          pending.push(draft);
+        }
+      }
 
-      // Check if draft is expired (older than 7 days)
-      const savedDate = new Date(draft.savedAt);
-      const expiryDate = new Date();
-      expiryDate.setDate(expiryDate.getDate() - this.DRAFT_EXPIRY_DAYS);
+      if (pending.length === 0) return;
 
-      if (savedDate < expiryDate) {
-        console.log('Draft expired, removing...');
-        localStorage.removeItem(this.AUTOSAVE_KEY);
-        return;
-      }
+      pending.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+      this.showDraftRestorePrompt(pending);
+    } catch (error) {
+      console.error('Error checking for drafts:', error);
+    }
+  }
 
-      // Format time for display
-      const timeAgo = this.getTimeAgo(savedDate);
+  async migrateLegacyDraft() {
+    try {
+      const draftJson = localStorage.getItem(this.AUTOSAVE_KEY);
+      if (!draftJson) return;
 
-      // Show restore prompt
-      this.showDraftRestorePrompt(draft, timeAgo);
+      const draft = JSON.parse(draftJson);
+      await this.drafts.put({
+        ...draft,
+        key: draft.postId || this.createDraftKey()
+      });
+      localStorage.removeItem(this.AUTOSAVE_KEY);
     } catch (error) {
-      console.error('Error checking for draft:', error);
+      console.error('Error migrating legacy draft:', error);
       localStorage.removeItem(this.AUTOSAVE_KEY);
     }
   }
@@ -627,88 +1896,108 @@ class BlogEditor {
     return `${Math.floor(seconds / 86400)} days ago`;
   }
 
-  showDraftRestorePrompt(draft, timeAgo) {
-    // Create modal for draft restore
+  showDraftRestorePrompt(drafts) {
+    // Only one prompt at a time
+    document.querySelector('.draft-restore-modal')?.remove();
+
     const modal = document.createElement('div');
     modal.className = 'draft-restore-modal';
-    modal.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      right: 0;
-      bottom: 0;
-      background: rgba(0, 0, 0, 0.7);
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      z-index: 2000;
-    `;
+
+    const renderItem = (draft) => {
+      const post = draft.postId && this.posts.find(p => p.id === draft.postId);
+      const source = post ? `Editing "${this.escapeHtml(post.title)}"` : 'New post';
+      return `
+        <li class="draft-item" data-draft-key="${this.escapeHtml(draft.key)}">
+          <div class="draft-info">
+            <span class="draft-title">${draft.data.title ? this.escapeHtml(draft.data.title) : 'Untitled post'}</span>
+            <span class="draft-meta">${source} • ${this.getTimeAgo(new Date(draft.savedAt))}</span>
+          </div>
+          <div class="draft-actions">
+            <button type="button" class="btn btn-primary" data-draft-action="restore">Restore</button>
+            <button type="button" class="btn btn-secondary" data-draft-action="discard">Discard</button>
+          </div>
+        </li>
+      `;
+    };
 
     modal.innerHTML = `
-      <div style="
-        background: #1a1a2e;
-        border: 1px solid rgba(255, 255, 255, 0.1);
-        border-radius: 12px;
-        padding: 2rem;
-        max-width: 400px;
-        text-align: center;
-      ">
-        <i class="fas fa-file-alt" style="font-size: 3rem; color: #10b981; margin-bottom: 1rem;"></i>
-        <h3 style="color: white; margin-bottom: 0.5rem;">Unsaved Draft Found</h3>
-        <p style="color: rgba(255, 255, 255, 0.7); margin-bottom: 1.5rem;">
-          You have an unsaved draft from ${timeAgo}.<br>
-          ${draft.data.title ? `Title: "${draft.data.title}"` : 'Untitled post'}
-        </p>
-        <div style="display: flex; gap: 1rem; justify-content: center;">
-          <button id="restoreDraftBtn" style="
-            background: #10b981;
-            color: white;
-            border: none;
-            padding: 0.75rem 1.5rem;
-            border-radius: 8px;
-            cursor: pointer;
-            font-weight: 600;
-          ">Restore Draft</button>
-          <button id="discardDraftBtn" style="
-            background: transparent;
-            color: rgba(255, 255, 255, 0.7);
-            border: 1px solid rgba(255, 255, 255, 0.2);
-            padding: 0.75rem 1.5rem;
-            border-radius: 8px;
-            cursor: pointer;
-          ">Discard</button>
+      <div class="draft-restore-dialog">
+        <i class="fas fa-file-alt draft-restore-icon"></i>
+        <h3>${drafts.length === 1 ? 'Unsaved Draft Found' : 'Unsaved Drafts Found'}</h3>
+        <p>You have ${drafts.length === 1 ? 'an unsaved draft' : `${drafts.length} unsaved drafts`}.</p>
+        <ul class="draft-list">
+          ${drafts.map(renderItem).join('')}
+        </ul>
+        <div class="draft-footer">
+          ${drafts.length > 1 ? '<button type="button" class="btn btn-outline" data-draft-action="discard-all">Discard All</button>' : ''}
+          <button type="button" class="btn btn-outline" data-draft-action="close">Decide Later</button>
         </div>
       </div>
     `;
 
     document.body.appendChild(modal);
 
-    // Event listeners
-    modal.querySelector('#restoreDraftBtn').addEventListener('click', () => {
-      this.restoreDraft(draft);
-      modal.remove();
-    });
-
-    modal.querySelector('#discardDraftBtn').addEventListener('click', () => {
-      localStorage.removeItem(this.AUTOSAVE_KEY);
-      modal.remove();
-      this.showToast('Draft discarded', 'info');
+    modal.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-draft-action]');
+      if (!button) return;
+
+      const action = button.dataset.draftAction;
+      const item = button.closest('.draft-item');
+      const draft = item && drafts.find(d => d.key === item.dataset.draftKey);
+
+      if (action === 'restore' && draft) {
+        this.restoreDraft(draft);
+        modal.remove();
+      } else if (action === 'discard' && draft) {
+        await this.clearDraft(draft.key);
+        item.remove();
+        this.showToast('Draft discarded', 'info');
+        if (!modal.querySelector('.draft-item')) {
+          modal.remove();
+        }
+      } else if (action === 'discard-all') {
+        await Promise.all(drafts.map(d => this.clearDraft(d.key)));
+        modal.remove();
+        this.showToast('All drafts discarded', 'info');
+      } else if (action === 'close') {
+        modal.remove();
+      }
     });
   }
 
   restoreDraft(draft) {
     const data = draft.data;
+    this.flushAutosave();
+
+    // Start from a clean form bound to the draft's post
+    this.currentPostId = draft.postId && this.posts.some(p => p.id === draft.postId) ? draft.postId : null;
+    this.newDraftKey = this.currentPostId ? this.createDraftKey() : draft.key;
+    this.clearForm();
 
     // Restore form fields
     if (data.title) document.getElementById('postTitle').value = data.title;
-    if (data.slug) document.getElementById('postSlug').value = data.slug;
+    if (data.slug) {
+      document.getElementById('postSlug').value = data.slug;
+      this.updateSlugHint();
+    }
     if (data.excerpt) document.getElementById('postExcerpt').value = data.excerpt;
     if (data.content) this.quill.root.innerHTML = data.content;
+    if (data.contentMarkdown) {
+      document.getElementById('markdownEditor').value = data.contentMarkdown;
+      this.showEditorMode('markdown');
+    }
     if (data.author) document.getElementById('postAuthor').value = data.author;
     if (data.date) document.getElementById('postDate').value = data.date;
     if (data.category) document.getElementById('postCategory').value = data.category;
     if (data.readTime) document.getElementById('postReadTime').value = data.readTime;
+    document.getElementById('readTimeOverride').checked = Boolean(data.readTimeManual);
+    this.updateReadingStats();
     if (data.featured) document.getElementById('postFeatured').checked = data.featured;
+    if (data.status) {
+      document.getElementById('postStatus').value = data.status;
+      document.getElementById('postPublishAt').value = data.publishAt || '';
+      this.updatePublishAtVisibility();
+    }
 
     // Restore image
     if (data.imageUrl) {
@@ -718,6 +2007,7 @@ class BlogEditor {
       this.featuredImageData = data.featuredImageData;
       this.showImagePreview(data.featuredImageData);
     }
+    this.featuredImageVariants = data.featuredImageVariants || [];
 
     // Restore tags
     if (data.tags && data.tags.length > 0) {
@@ -725,167 +2015,1169 @@ class BlogEditor {
       this.renderTags();
     }
 
-    // Restore post ID if editing existing post
-    if (draft.postId) {
-      this.currentPostId = draft.postId;
-    }
+    document.getElementById('postId').value = this.currentPostId || '';
+    this.renderPostList();
 
     this.showToast('Draft restored successfully!', 'success');
   }
 
-  clearDraft() {
-    localStorage.removeItem(this.AUTOSAVE_KEY);
-    console.log('Draft cleared');
+  async clearDraft(key = this.getDraftKey()) {
+    try {
+      await this.drafts.delete(key);
+      console.log('Draft cleared', key);
+    } catch (error) {
+      console.error('Error clearing draft:', error);
+    }
   }
 
-  clearOldDrafts() {
-    // Clear the main draft
-    localStorage.removeItem(this.AUTOSAVE_KEY);
-
-    // Clear any other blog-editor related items if storage is full
-    const keysToRemove = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith('blog-editor-')) {
-        keysToRemove.push(key);
-      }
+  async clearExpiredDrafts() {
+    try {
+      const drafts = await this.drafts.getAll();
+      await Promise.all(drafts
+        .filter(draft => this.isDraftExpired(draft))
+        .map(draft => this.drafts.delete(draft.key)));
+    } catch (error) {
+      console.error('Error clearing expired drafts:', error);
     }
-    keysToRemove.forEach(key => localStorage.removeItem(key));
   }
 
-  // JSON Export/Import
-  downloadJson() {
-    const data = {
-      posts: this.posts,
-      categories: this.categories.length > 0 ? this.categories : [
-        { id: 'all', name: 'All Posts', count: this.posts.length },
-        { id: 'design', name: 'Design', count: this.posts.filter(p => p.category === 'Design').length },
-        { id: 'tutorial', name: 'Tutorial', count: this.posts.filter(p => p.category === 'Tutorial').length },
-        { id: 'behind-the-scenes', name: 'Behind the Scenes', count: this.posts.filter(p => p.category === 'Behind the Scenes').length },
-        { id: 'inspiration', name: 'Inspiration', count: this.posts.filter(p => p.category === 'Inspiration').length },
-        { id: 'news', name: 'News', count: this.posts.filter(p => p.category === 'News').length }
-      ]
-    };
-
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'blogs.json';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  // Revision History
+  loadRevisions() {
+    try {
+      this.revisions = JSON.parse(localStorage.getItem(this.REVISIONS_KEY)) || {};
+    } catch (error) {
+      console.error('Error loading revisions:', error);
+      this.revisions = {};
+    }
+  }
 
-    this.showToast('blogs.json downloaded!', 'success');
+  persistRevisions() {
+    try {
+      localStorage.setItem(this.REVISIONS_KEY, JSON.stringify(this.revisions));
+    } catch (error) {
+      console.error('Error saving revisions:', error);
+      if (error.name === 'QuotaExceededError' && this.trimOldestRevision()) {
+        this.persistRevisions();
+      }
+    }
   }
 
-  importJson(file) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = JSON.parse(e.target.result);
-        if (data.posts && Array.isArray(data.posts)) {
-          this.posts = data.posts;
-          this.categories = data.categories || [];
-          this.renderPostList();
-          this.clearForm();
-          this.showToast('Blog data imported successfully!', 'success');
-        } else {
-          throw new Error('Invalid format');
-        }
-      } catch (error) {
-        this.showToast('Invalid JSON file format', 'error');
+  // Drops the single oldest snapshot across all posts, keeping the newest one of each
+  trimOldestRevision() {
+    let oldest = null;
+    Object.entries(this.revisions).forEach(([postId, list]) => {
+      if (list.length < 2) return;
+      const candidate = list[list.length - 1];
+      if (!oldest || candidate.savedAt < oldest.revision.savedAt) {
+        oldest = { postId, revision: candidate };
       }
-    };
-    reader.readAsText(file);
+    });
+
+    if (!oldest) return false;
+    this.revisions[oldest.postId].pop();
+    return true;
   }
 
-  promptDownload() {
-    const shouldDownload = confirm('Would you like to download the updated blogs.json file now?');
-    if (shouldDownload) {
-      this.downloadJson();
-    }
+  recordRevision(post) {
+    const list = this.revisions[post.id] || [];
+    list.unshift({
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      savedAt: new Date().toISOString(),
+      post: JSON.parse(JSON.stringify(post))
+    });
+    this.revisions[post.id] = list.slice(0, this.MAX_REVISIONS);
+    this.persistRevisions();
   }
 
-  // GitHub Integration
-  async commitToGitHub() {
-    const token = document.getElementById('githubToken').value.trim();
-    const message = document.getElementById('commitMessage').value.trim();
+  mergeRevisions(imported) {
+    Object.entries(imported || {}).forEach(([postId, list]) => {
+      if (!Array.isArray(list)) return;
+      const byId = new Map((this.revisions[postId] || []).map(rev => [rev.id, rev]));
+      list.forEach(rev => {
+        if (rev && rev.id && rev.post) byId.set(rev.id, rev);
+      });
+      this.revisions[postId] = Array.from(byId.values())
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt))
+        .slice(0, this.MAX_REVISIONS);
+    });
+    this.persistRevisions();
+  }
 
-    if (!token) {
-      this.showToast('Please enter your GitHub Personal Access Token', 'error');
+  showRevisions() {
+    if (!this.currentPostId) {
+      this.showToast('Open a saved post to see its history', 'info');
       return;
     }
 
-    const data = {
-      posts: this.posts,
-      categories: this.categories
-    };
-
-    try {
-      // Get current file SHA
-      const getResponse = await fetch(
-        'https://api.github.com/repos/darkclone9/darkclone9.github.io/contents/data/blogs.json',
-        {
-          headers: {
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        }
-      );
-
-      const currentFile = await getResponse.json();
-      const sha = currentFile.sha;
-
-      // Update file
-      const content = btoa(unescape(encodeURIComponent(JSON.stringify(data, null, 2))));
-
-      const updateResponse = await fetch(
-        'https://api.github.com/repos/darkclone9/darkclone9.github.io/contents/data/blogs.json',
-        {
-          method: 'PUT',
-          headers: {
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            message: message || 'Update blog posts',
-            content: content,
-            sha: sha
-          })
-        }
-      );
+    const list = this.revisions[this.currentPostId] || [];
+    const revisionList = document.getElementById('revisionList');
+    const revisionDiff = document.getElementById('revisionDiff');
 
-      if (updateResponse.ok) {
-        this.closeModal('githubModal');
-        this.showToast('Successfully committed to GitHub!', 'success');
-        // Save token locally for convenience
-        localStorage.setItem('github_token', token);
-      } else {
-        const error = await updateResponse.json();
-        throw new Error(error.message || 'Failed to commit');
-      }
-    } catch (error) {
-      this.showToast(`Error: ${error.message}`, 'error');
+    if (list.length === 0) {
+      revisionList.innerHTML = `
+        <li class="empty-state">
+          <i class="fas fa-history"></i>
+          <p>No revisions yet</p>
+        </li>
+      `;
+      revisionDiff.innerHTML = '';
+    } else {
+      revisionList.innerHTML = list.map((rev, index) => `
+        <li class="revision-item" data-revision-id="${rev.id}">
+          <span class="revision-date">${new Date(rev.savedAt).toLocaleString()}</span>
+          <span class="revision-meta">${index === 0 ? 'Latest save' : this.getTimeAgo(new Date(rev.savedAt))}</span>
+        </li>
+      `).join('');
+      this.showRevisionDiff(list[0].id);
     }
-  }
 
-  // Modal Handling
-  openModal(modalId) {
-    document.getElementById(modalId).classList.add('active');
-    document.body.style.overflow = 'hidden';
+    this.openModal('revisionsModal');
   }
 
-  closeModal(modalId) {
-    document.getElementById(modalId).classList.remove('active');
-    document.body.style.overflow = '';
-  }
+  showRevisionDiff(revisionId) {
+    const revision = (this.revisions[this.currentPostId] || []).find(rev => rev.id === revisionId);
+    if (!revision) return;
 
-  // Toast Notifications
-  showToast(message, type = 'info') {
-    const container = document.getElementById('toastContainer');
+    document.querySelectorAll('.revision-item').forEach(item => {
+      item.classList.toggle('active', item.dataset.revisionId === revisionId);
+    });
+
+    const current = this.getCurrentFormData();
+    if (current.contentMarkdown) {
+      current.content = this.markdown.toHtml(current.contentMarkdown);
+    }
+    const old = revision.post;
+
+    const fields = [
+      { label: 'Title', diff: this.diffTokens(this.splitWords(old.title), this.splitWords(current.title)) },
+      { label: 'Excerpt', diff: this.diffTokens(this.splitWords(old.excerpt), this.splitWords(current.excerpt)) },
+      { label: 'Tags', diff: this.diffTokens(old.tags || [], current.tags, ' ') },
+      { label: 'Content', diff: this.diffTokens(this.splitBlocks(old.content), this.splitBlocks(current.content), '\n') }
+    ];
+
+    document.getElementById('revisionDiff').innerHTML = `
+      <div class="diff-columns diff-heading">
+        <span>Revision from ${new Date(revision.savedAt).toLocaleString()}</span>
+        <span>Current editor</span>
+      </div>
+      ${fields.map(field => `
+        <div class="diff-field">
+          <h4>${field.label}</h4>
+          <div class="diff-columns">
+            <div class="diff-side">${field.diff.left || '<span class="diff-empty">Empty</span>'}</div>
+            <div class="diff-side">${field.diff.right || '<span class="diff-empty">Empty</span>'}</div>
+          </div>
+        </div>
+      `).join('')}
+      <div class="modal-actions">
+        <button class="btn btn-primary" id="restoreRevisionBtn" data-revision-id="${revision.id}">
+          <i class="fas fa-undo"></i> Restore This Revision
+        </button>
+      </div>
+    `;
+  }
+
+  restoreRevision(revisionId) {
+    const revision = (this.revisions[this.currentPostId] || []).find(rev => rev.id === revisionId);
+    if (!revision) return;
+
+    this.fillForm(revision.post);
+    this.closeModal('revisionsModal');
+
+    // Saving records the restored state as a new revision, so the restore can be undone
+    this.savePost();
+  }
+
+  splitWords(text) {
+    return (text || '').split(/(\s+)/).filter(Boolean);
+  }
+
+  splitBlocks(html) {
+    const container = new DOMParser().parseFromString(html || '', 'text/html').body;
+    const blocks = Array.from(container.children).map(el => {
+      if (el.tagName === 'IMG' || el.querySelector('img')) {
+        const img = el.tagName === 'IMG' ? el : el.querySelector('img');
+        return `${el.textContent.trim()} [image: ${img.getAttribute('src')}]`.trim();
+      }
+      if (el.tagName === 'IFRAME') {
+        return `[video: ${el.getAttribute('src')}]`;
+      }
+      return el.textContent.trim();
+    });
+    return blocks.filter(Boolean);
+  }
+
+  // Longest-common-subsequence diff rendered as two marked-up columns
+  diffTokens(oldTokens, newTokens, separator = '') {
+    const n = oldTokens.length;
+    const m = newTokens.length;
+    const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i][j] = oldTokens[i] === newTokens[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const left = [];
+    const right = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && oldTokens[i] === newTokens[j]) {
+        left.push(this.escapeHtml(oldTokens[i]));
+        right.push(this.escapeHtml(newTokens[j]));
+        i++;
+        j++;
+      } else if (j < m && (i === n || table[i][j + 1] >= table[i + 1][j])) {
+        right.push(`<ins>${this.escapeHtml(newTokens[j])}</ins>`);
+        j++;
+      } else {
+        left.push(`<del>${this.escapeHtml(oldTokens[i])}</del>`);
+        i++;
+      }
+    }
+
+    return { left: left.join(separator), right: right.join(separator) };
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // JSON Export/Import
+  // Everything a commit would write to data/, so the blog page's index never lags behind blogs.json.
+  // Revisions sit beside the data folder rather than in it, so they aren't published with the site
+  async downloadJson() {
+    const data = {
+      posts: this.posts,
+      categories: this.categories
+    };
+
+    const files = [
+      { name: 'data/blogs.json', data: JSON.stringify(data, null, 2) },
+      ...PostIndex.files(this.posts, this.categories).map(file => ({ name: `data/${file.path}`, data: file.content }))
+    ];
+    if (Object.keys(this.revisions).length) {
+      files.push({ name: 'blog-revisions.json', data: JSON.stringify({ revisions: this.revisions }, null, 2) });
+    }
+    this.downloadBlob(await ZipArchive.write(files), 'blog-data.zip');
+    this.showToast('blog-data.zip downloaded! Copy its data folder into the site', 'success');
+  }
+
+  // Revisions stay out of the public blogs.json; this file moves them to another browser
+  downloadRevisions() {
+    if (!Object.keys(this.revisions).length) {
+      this.showToast('There are no revisions to download', 'info');
+      return;
+    }
+
+    const data = { revisions: this.revisions };
+    this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'blog-revisions.json');
+    this.showToast('blog-revisions.json downloaded!', 'success');
+  }
+
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // Export
+  openExport() {
+    const scopes = {
+      current: this.currentPostId ? 1 : 0,
+      selected: this.selectedPostIds.size,
+      all: this.posts.length
+    };
+    if (!scopes.all) {
+      this.showToast('There are no posts to export', 'info');
+      return;
+    }
+
+    Object.entries(scopes).forEach(([scope, count]) => {
+      const radio = document.querySelector(`input[name="exportScope"][value="${scope}"]`);
+      radio.disabled = !count;
+      radio.dataset.count = count;
+    });
+    document.getElementById('exportSelectedCount').textContent = scopes.selected;
+    document.getElementById('exportAllCount').textContent = scopes.all;
+
+    const scope = ['current', 'selected', 'all'].find(value => scopes[value]);
+    document.querySelector(`input[name="exportScope"][value="${scope}"]`).checked = true;
+    this.updateExportOptions();
+    this.openModal('exportModal');
+  }
+
+  // Copying works on one post, so it pins the scope to the open one
+  updateExportOptions() {
+    const format = document.querySelector('input[name="exportFormat"]:checked').value;
+    const isCopy = format === 'clipboard';
+
+    document.querySelectorAll('input[name="exportScope"]').forEach(radio => {
+      radio.disabled = radio.dataset.count === '0' || (isCopy && radio.value !== 'current');
+    });
+    const current = document.querySelector('input[name="exportScope"][value="current"]');
+    if (isCopy && !current.disabled) current.checked = true;
+
+    const scope = document.querySelector('input[name="exportScope"]:checked');
+    const button = document.getElementById('confirmExportBtn');
+    button.disabled = !scope || scope.disabled;
+    button.innerHTML = isCopy
+      ? '<i class="fas fa-copy"></i> Copy HTML'
+      : '<i class="fas fa-file-export"></i> Download';
+  }
+
+  getExportPosts(scope) {
+    if (scope === 'current') return this.posts.filter(post => post.id === this.currentPostId);
+    if (scope === 'selected') return this.posts.filter(post => this.selectedPostIds.has(post.id));
+    return this.posts;
+  }
+
+  async runExport() {
+    const format = document.querySelector('input[name="exportFormat"]:checked').value;
+    const scope = document.querySelector('input[name="exportScope"]:checked').value;
+    const posts = this.getExportPosts(scope);
+    const button = document.getElementById('confirmExportBtn');
+    const single = posts.length === 1 ? PostSlugs.slugOf(posts[0]) : null;
+    const archiveName = `blog-${new Date().toISOString().slice(0, 10)}`;
+
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Exporting...';
+
+    try {
+      if (format === 'clipboard') {
+        await this.copyPostHtml(posts[0]);
+      } else {
+        const { blob, missing } = format === 'markdown'
+          ? await this.exporter.toMarkdownZip(posts, this.categories)
+          : await this.exporter.toStandaloneHtml(posts, this.categories);
+        const extension = format === 'html' && single ? 'html' : 'zip';
+        this.downloadBlob(blob, `${single || archiveName}${format === 'markdown' ? '-markdown' : ''}.${extension}`);
+
+        if (missing.length) {
+          this.showToast(`Exported ${posts.length} post${posts.length === 1 ? '' : 's'}, but ${missing.length} image${missing.length === 1 ? '' : 's'} could not be included`, 'info');
+        } else {
+          this.showToast(`Exported ${posts.length} post${posts.length === 1 ? '' : 's'}`, 'success');
+        }
+      }
+      this.closeModal('exportModal');
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showToast(`Export failed: ${error.message}`, 'error');
+    } finally {
+      this.updateExportOptions();
+    }
+  }
+
+  async copyPostHtml(post) {
+    const html = this.exporter.toCleanHtml(post, new URL('.', window.location.href).href);
+    const text = PostSearch.stripHtml(html);
+
+    // Rich paste where the browser supports it, markup as text otherwise
+    if (window.ClipboardItem && navigator.clipboard.write) {
+      await navigator.clipboard.write([new ClipboardItem({
+        'text/html': new Blob([html], { type: 'text/html' }),
+        'text/plain': new Blob([text], { type: 'text/plain' })
+      })]);
+    } else {
+      await navigator.clipboard.writeText(html);
+    }
+
+    // Uploads live in the JSON until the next commit, which email clients can't show
+    const unsaved = /src="data:/.test(html);
+    this.showToast(unsaved
+      ? 'HTML copied. Commit first so uploaded images have public URLs'
+      : 'HTML copied, ready to paste', unsaved ? 'info' : 'success');
+  }
+
+  // Import
+  async importPosts(files) {
+    if (!files.length) return;
+
+    const result = await this.importer.readFiles(files);
+    if (!result.posts.length && result.revisions) {
+      this.mergeRevisions(result.revisions);
+      this.showToast('Revision history imported', 'success');
+      return;
+    }
+    if (!result.posts.length) {
+      this.showToast(result.errors[0] || 'No posts found in the selected files', 'error');
+      return;
+    }
+
+    // Slugs repeated within the import get a suffix so every post stays addressable
+    const taken = new Set();
+    const items = result.posts.map(({ post, source }) => {
+      let slug = post.slug || post.id;
+      if (taken.has(slug)) slug = this.uniqueImportSlug(slug, taken);
+      taken.add(slug);
+
+      // Ids from blogs.json are kept so revisions and saved drafts stay attached
+      const imported = { ...post, id: post.id || slug, slug };
+      return { post: imported, source, duplicate: PostSlugs.find(this.posts, slug), action: null };
+    });
+
+    this.pendingImport = { items, categories: result.categories, revisions: result.revisions, errors: result.errors };
+    this.setImportMode('merge');
+    this.openModal('importModal');
+  }
+
+  uniqueImportSlug(slug, taken) {
+    let candidate = slug;
+    let suffix = 2;
+    while (taken.has(candidate) || PostSlugs.find(this.posts, candidate)) {
+      candidate = `${slug}-${suffix++}`;
+    }
+    return candidate;
+  }
+
+  // Duplicates are skipped by default when merging; replacing imports everything
+  setImportMode(mode) {
+    document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+      radio.checked = radio.value === mode;
+    });
+    this.pendingImport.items.forEach(item => {
+      item.action = mode === 'merge' && item.duplicate ? 'skip' : 'import';
+    });
+    this.renderImportPreview();
+  }
+
+  getImportMode() {
+    return document.querySelector('input[name="importMode"]:checked')?.value || 'merge';
+  }
+
+  renderImportPreview() {
+    const { items, errors } = this.pendingImport;
+    const isMerge = this.getImportMode() === 'merge';
+    const duplicates = items.filter(item => item.duplicate).length;
+
+    document.getElementById('importSummary').textContent = isMerge
+      ? `${items.length} post${items.length === 1 ? '' : 's'} found, ${duplicates} with a slug that already exists.`
+      : `${items.length} post${items.length === 1 ? '' : 's'} found. They will replace all ${this.posts.length} existing posts.`;
+
+    const options = (item) => (isMerge && item.duplicate
+      ? [['skip', 'Skip'], ['overwrite', 'Overwrite existing'], ['copy', 'Import as a copy']]
+      : [['import', 'Import'], ['skip', 'Skip']]);
+
+    document.getElementById('importList').innerHTML = items.map((item, index) => `
+      <li class="import-item ${item.action === 'skip' ? 'skipped' : ''}">
+        <div class="import-info">
+          <span class="import-title">${this.escapeHtml(item.post.title)}</span>
+          <span class="import-meta">
+            ${this.escapeHtml(item.source)} • ${this.formatDate(item.post.date)} • ${this.escapeHtml(this.getCategoryName(item.post.category))}
+            ${item.post.status !== 'published' ? ` • ${this.escapeHtml(item.post.status)}` : ''}
+          </span>
+          ${isMerge && item.duplicate ? `
+            <span class="import-duplicate">
+              <i class="fas fa-exclamation-triangle"></i> "${this.escapeHtml(item.post.slug)}" is already used by "${this.escapeHtml(item.duplicate.title)}"
+            </span>
+          ` : ''}
+        </div>
+        <select data-index="${index}" aria-label="What to do with ${this.escapeHtml(item.post.title)}">
+          ${options(item).map(([value, label]) => `
+            <option value="${value}" ${item.action === value ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+      </li>
+    `).join('');
+
+    document.getElementById('importErrors').innerHTML = errors
+      .map(error => `<li><i class="fas fa-times-circle"></i> ${this.escapeHtml(error)}</li>`)
+      .join('');
+  }
+
+  applyImport() {
+    const { items, categories, revisions } = this.pendingImport;
+    const isMerge = this.getImportMode() === 'merge';
+    const chosen = items.filter(item => item.action !== 'skip');
+    if (!chosen.length) {
+      this.showToast('Every post is set to skip', 'error');
+      return;
+    }
+
+    const posts = isMerge ? [...this.posts] : [];
+    const added = [];
+    const overwritten = [];
+    const taken = new Set();
+    const updatedAt = new Date().toISOString();
+
+    chosen.forEach(item => {
+      if (item.action === 'overwrite') {
+        // The existing post keeps its id, slug and slug history
+        const index = posts.findIndex(p => p.id === item.duplicate.id);
+        const existing = posts[index];
+        posts[index] = {
+          ...item.post,
+          id: existing.id,
+          slug: PostSlugs.slugOf(existing),
+          ...(existing.previousSlugs ? { previousSlugs: existing.previousSlugs } : {}),
+          updatedAt
+        };
+        overwritten.push(posts[index]);
+      } else {
+        const isCopy = item.action === 'copy';
+        const slug = isCopy ? this.uniqueImportSlug(item.post.slug, taken) : item.post.slug;
+        taken.add(slug);
+
+        // A copy is a new post, and an id already in use would merge two posts' history
+        const idTaken = (id) => posts.some(p => p.id === id) || added.some(p => p.id === id);
+        let id = isCopy || idTaken(item.post.id) ? slug : item.post.id;
+        if (idTaken(id)) {
+          id = `${slug}-${Date.now()}`;
+        }
+        added.push({ ...item.post, id, slug, updatedAt });
+      }
+    });
+
+    added.sort((a, b) => b.date.localeCompare(a.date));
+    const existingCategories = isMerge || !categories.length ? this.categories : [];
+    const normalized = this.normalizeBlogData({
+      posts: [...added, ...posts],
+      categories: [...existingCategories, ...categories.filter(cat => !existingCategories.some(c => c.id === cat.id))]
+    });
+
+    this.posts = normalized.posts;
+    this.categories = normalized.categories;
+    overwritten.forEach(post => this.recordRevision(this.posts.find(p => p.id === post.id)));
+    if (revisions) {
+      this.mergeRevisions(revisions);
+    }
+
+    this.searchIndex.build(this.posts);
+    this.renderCategoryOptions();
+    if (!this.posts.some(p => p.id === this.currentPostId)) {
+      this.currentPostId = null;
+      this.clearForm();
+    } else if (overwritten.some(p => p.id === this.currentPostId)) {
+      this.fillForm(this.posts.find(p => p.id === this.currentPostId));
+    }
+
+    this.pendingImport = null;
+    this.renderPostList();
+    this.closeModal('importModal');
+    this.showToast(`Imported ${chosen.length} post${chosen.length === 1 ? '' : 's'}`, 'success');
+    this.promptDownload();
+  }
+
+  promptDownload() {
+    const shouldDownload = confirm('Would you like to download the updated blog data (blogs.json and the post index) now?');
+    if (shouldDownload) {
+      this.downloadJson();
+    }
+  }
+
+  // GitHub Integration
+  async githubRequest(token, path, options = {}) {
+    const { owner, repo } = this.githubSettings;
+    const response = await fetch(`${this.GITHUB_API}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `token ${token}`,
+        'Accept': 'application/vnd.github.v3+json',
+        ...(options.body ? { 'Content-Type': 'application/json' } : {})
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.message || `GitHub request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  // Files in a repository folder, or none when the folder doesn't exist yet
+  async listGithubFolder(token, path, branch) {
+    try {
+      const entries = await this.githubRequest(token, `/contents/${path.split('/').map(encodeURIComponent).join('/')}?ref=${encodeURIComponent(branch)}`);
+      return Array.isArray(entries) ? entries.filter(entry => entry.type === 'file').map(entry => entry.path) : [];
+    } catch (error) {
+      if (error.status === 404) return [];
+      throw error;
+    }
+  }
+
+  // Moves base64 images out of the posts into files under images/blog/<slug>/
+  async extractImageUploads(posts) {
+    const uploads = new Map();
+
+    const toFile = async (dataUrl, slug, prefix) => {
+      const match = dataUrl.match(/^data:(image\/[\w.+-]+);base64,(.+)$/);
+      if (!match) return dataUrl;
+
+      const extension = this.IMAGE_EXTENSIONS[match[1]] || 'png';
+      const hash = await this.hashBase64(match[2]);
+      const path = `images/blog/${slug}/${prefix}-${hash}.${extension}`;
+      uploads.set(path, match[2]);
+      return path;
+    };
+
+    const rewritten = [];
+    for (const post of posts) {
+      const copy = { ...post };
+      const slug = post.slug || post.id;
+
+      if (copy.image && copy.image.startsWith('data:')) {
+        copy.image = await toFile(copy.image, slug, 'featured');
+      }
+
+      if (copy.imageVariants) {
+        copy.imageVariants = await Promise.all(copy.imageVariants.map(async variant => ({
+          ...variant,
+          src: await toFile(variant.src, slug, 'featured')
+        })));
+      }
+
+      // Inline images pasted into the content (and its Markdown source)
+      const inlineImages = new Set((copy.content || '').match(/data:image\/[\w.+-]+;base64,[A-Za-z0-9+/=]+/g) || []);
+      for (const dataUrl of inlineImages) {
+        const path = await toFile(dataUrl, slug, 'image');
+        copy.content = copy.content.split(dataUrl).join(path);
+        if (copy.contentMarkdown) {
+          copy.contentMarkdown = copy.contentMarkdown.split(dataUrl).join(path);
+        }
+      }
+
+      rewritten.push(copy);
+    }
+
+    return { posts: rewritten, uploads };
+  }
+
+  // Same SHA-1 git assigns to a blob, so local and remote file versions can be compared
+  async gitBlobSha(text) {
+    const body = new TextEncoder().encode(text);
+    const header = new TextEncoder().encode(`blob ${body.length}\0`);
+    const bytes = new Uint8Array(header.length + body.length);
+    bytes.set(header);
+    bytes.set(body, header.length);
+
+    const digest = await crypto.subtle.digest('SHA-1', bytes);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  async fetchRemoteBlogData(token, branch) {
+    const filePath = this.githubSettings.filePath.split('/').map(encodeURIComponent).join('/');
+    const file = await this.githubRequest(token, `/contents/${filePath}?ref=${encodeURIComponent(branch)}`);
+
+    // The contents API omits the body for files over 1MB
+    const base64 = file.content || (await this.githubRequest(token, `/git/blobs/${file.sha}`)).content;
+    const text = decodeURIComponent(escape(atob(base64.replace(/\n/g, ''))));
+
+    return { sha: file.sha, data: JSON.parse(text) };
+  }
+
+  stableStringify(value) {
+    if (value === undefined) return undefined;
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item) ?? 'null').join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  // Three-way merge of id-keyed records; anything both sides changed differently is a conflict
+  mergeById(base = [], local = [], remote = []) {
+    const index = list => new Map(list.map(item => [item.id, item]));
+    const baseMap = index(base);
+    const localMap = index(local);
+    const remoteMap = index(remote);
+    const same = (a, b) => this.stableStringify(a) === this.stableStringify(b);
+
+    // Remote additions go first (newest-first), then the local order, then posts deleted locally
+    const ids = [
+      ...remote.filter(item => !baseMap.has(item.id) && !localMap.has(item.id)).map(item => item.id),
+      ...local.map(item => item.id),
+      ...remote.filter(item => baseMap.has(item.id) && !localMap.has(item.id)).map(item => item.id)
+    ];
+
+    const merged = [];
+    const conflicts = [];
+    ids.forEach(id => {
+      const baseItem = baseMap.get(id);
+      const localItem = localMap.get(id);
+      const remoteItem = remoteMap.get(id);
+
+      if (same(localItem, remoteItem) || same(remoteItem, baseItem)) {
+        merged.push({ id, item: localItem });
+      } else if (same(localItem, baseItem)) {
+        merged.push({ id, item: remoteItem });
+      } else {
+        conflicts.push({ id, base: baseItem, local: localItem, remote: remoteItem });
+        merged.push({ id, item: localItem });
+      }
+    });
+
+    return { merged, conflicts };
+  }
+
+  // Merges remote edits made since the editor loaded; resolves to null if the user cancels
+  async mergeRemoteChanges(remote) {
+    const base = this.baseData || { posts: [], categories: [] };
+    const theirs = this.normalizeBlogData(remote);
+
+    const postMerge = this.mergeById(base.posts, this.posts, theirs.posts);
+    const categoryMerge = this.mergeById(base.categories, this.categories, theirs.categories);
+
+    let choices = {};
+    if (postMerge.conflicts.length > 0) {
+      choices = await this.resolveConflicts(postMerge.conflicts);
+      if (!choices) return null;
+    }
+
+    const conflictsById = new Map(postMerge.conflicts.map(conflict => [conflict.id, conflict]));
+    const posts = postMerge.merged
+      .map(entry => choices[entry.id] === 'remote' ? conflictsById.get(entry.id).remote : entry.item)
+      .filter(Boolean);
+
+    // Category conflicts keep the local version
+    const categories = categoryMerge.merged.map(entry => entry.item).filter(Boolean);
+
+    return { posts, categories, conflictCount: postMerge.conflicts.length };
+  }
+
+  resolveConflicts(conflicts) {
+    const describe = (conflict, side) => {
+      const post = conflict[side];
+      if (!post) {
+        return '<p class="conflict-deleted"><i class="fas fa-trash"></i> Deleted</p>';
+      }
+
+      const changed = Object.keys({ ...post, ...(conflict.base || {}) })
+        .filter(key => this.stableStringify(post[key]) !== this.stableStringify(conflict.base?.[key]));
+
+      return `
+        <p class="conflict-title">${this.escapeHtml(post.title || 'Untitled post')}</p>
+        <p class="conflict-meta">${post.date ? this.formatDate(post.date) : ''} ${post.category ? `• ${this.escapeHtml(this.getCategoryName(post.category))}` : ''}</p>
+        <p class="conflict-changes">${conflict.base ? `Changed: ${changed.map(key => this.escapeHtml(key)).join(', ') || 'nothing'}` : 'New post'}</p>
+      `;
+    };
+
+    document.getElementById('conflictList').innerHTML = conflicts.map(conflict => {
+      const name = this.escapeHtml(conflict.id);
+      return `
+        <li class="conflict-item" data-conflict-id="${name}">
+          <h4>${this.escapeHtml((conflict.local || conflict.remote).title || conflict.id)}</h4>
+          <div class="conflict-sides">
+            <label class="conflict-side">
+              <input type="radio" name="conflict-${name}" value="local" checked>
+              <span class="conflict-label">Keep mine</span>
+              ${describe(conflict, 'local')}
+            </label>
+            <label class="conflict-side">
+              <input type="radio" name="conflict-${name}" value="remote">
+              <span class="conflict-label">Keep theirs</span>
+              ${describe(conflict, 'remote')}
+            </label>
+          </div>
+        </li>
+      `;
+    }).join('');
+
+    this.openModal('conflictModal');
+
+    return new Promise(resolve => {
+      this.pendingConflictResolve = resolve;
+    });
+  }
+
+  confirmConflictResolution() {
+    const choices = {};
+    document.querySelectorAll('#conflictList .conflict-item').forEach(item => {
+      const checked = item.querySelector('input[type="radio"]:checked');
+      choices[item.dataset.conflictId] = checked ? checked.value : 'local';
+    });
+
+    const resolve = this.pendingConflictResolve;
+    this.pendingConflictResolve = null;
+    this.closeModal('conflictModal');
+    if (resolve) resolve(choices);
+  }
+
+  async hashBase64(base64) {
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    const digest = await crypto.subtle.digest('SHA-1', bytes);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('')
+      .slice(0, 10);
+  }
+
+  loadGithubSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.GITHUB_SETTINGS_KEY)) || {};
+      return { ...this.DEFAULT_GITHUB_SETTINGS, ...saved };
+    } catch (error) {
+      return { ...this.DEFAULT_GITHUB_SETTINGS };
+    }
+  }
+
+  fillGithubSettingsForm() {
+    const settings = this.githubSettings;
+    document.getElementById('githubOwner').value = settings.owner;
+    document.getElementById('githubRepo').value = settings.repo;
+    document.getElementById('githubBranch').value = settings.branch;
+    document.getElementById('githubFilePath').value = settings.filePath;
+    document.querySelectorAll('input[name="commitMode"]').forEach(radio => {
+      radio.checked = radio.value === settings.mode;
+    });
+    document.querySelectorAll('input[name="tokenStorage"]').forEach(radio => {
+      radio.checked = radio.value === settings.tokenStorage;
+    });
+  }
+
+  readGithubSettingsForm() {
+    return {
+      owner: document.getElementById('githubOwner').value.trim(),
+      repo: document.getElementById('githubRepo').value.trim(),
+      branch: document.getElementById('githubBranch').value.trim(),
+      filePath: document.getElementById('githubFilePath').value.trim().replace(/^\/+/, ''),
+      mode: document.querySelector('input[name="commitMode"]:checked')?.value || 'direct',
+      tokenStorage: document.querySelector('input[name="tokenStorage"]:checked')?.value || 'encrypted'
+    };
+  }
+
+  saveGithubSettings() {
+    this.githubSettings = this.readGithubSettingsForm();
+    localStorage.setItem(this.GITHUB_SETTINGS_KEY, JSON.stringify(this.githubSettings));
+  }
+
+  openGithubModal() {
+    this.fillGithubSettingsForm();
+    this.updateTokenStatus();
+    document.getElementById('githubResult').innerHTML = '';
+    this.openModal('githubModal');
+  }
+
+  // GitHub Token
+  updateTokenStatus() {
+    const vault = this.tokenVault;
+    const isLocked = vault.hasStored() && !vault.token;
+    const storage = document.querySelector('input[name="tokenStorage"]:checked')?.value;
+    let status = 'No token saved on this device.';
+
+    if (this.legacyTokenMigrated && vault.token && !vault.hasStored()) {
+      status = 'Your token was removed from unencrypted storage. It works until you close this page; commit with a passphrase to keep it.';
+    } else if (vault.token) {
+      const login = this.verifiedGithub && this.verifiedGithub.token === vault.token ? ` for @${this.verifiedGithub.login}` : '';
+      status = `Using ${vault.hasStored() ? 'the saved' : 'this session\'s'} token${login}. Paste a new one to replace it.`;
+    } else if (isLocked) {
+      status = 'A saved token is locked. Enter your passphrase to use it.';
+    }
+
+    document.getElementById('githubTokenStatus').textContent = status;
+    document.getElementById('forgetTokenBtn').hidden = !vault.token && !vault.hasStored();
+    document.getElementById('tokenPassphraseGroup').style.display = storage === 'encrypted' || isLocked ? '' : 'none';
+  }
+
+  async resolveGithubToken(settings) {
+    const typed = document.getElementById('githubToken').value.trim();
+    const passphrase = document.getElementById('githubPassphrase').value;
+
+    if (typed) {
+      if (settings.tokenStorage === 'encrypted' && !passphrase) {
+        this.showToast('Enter a passphrase to encrypt the token, or keep it for this session only', 'error');
+        return null;
+      }
+      return typed;
+    }
+
+    if (this.tokenVault.token) return this.tokenVault.token;
+
+    if (this.tokenVault.hasStored()) {
+      if (!passphrase) {
+        this.showToast('Enter your passphrase to unlock the saved token', 'error');
+        return null;
+      }
+      try {
+        return await this.tokenVault.unlock(passphrase);
+      } catch (error) {
+        this.showToast(error.message, 'error');
+        return null;
+      }
+    }
+
+    this.showToast('Please enter your GitHub Personal Access Token', 'error');
+    return null;
+  }
+
+  // Checked once per token and repository: it must be valid, scoped for repository writes and allowed to push
+  async verifyGithubToken(token, settings) {
+    const repository = `${settings.owner}/${settings.repo}`.toLowerCase();
+    if (this.verifiedGithub && this.verifiedGithub.token === token && this.verifiedGithub.repository === repository) {
+      return this.verifiedGithub;
+    }
+
+    const response = await fetch(`${this.GITHUB_API}/user`, {
+      headers: {
+        'Authorization': `token ${token}`,
+        'Accept': 'application/vnd.github.v3+json'
+      }
+    });
+    const user = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      throw new Error('GitHub rejected the token; it may be mistyped, expired or revoked');
+    }
+    if (!response.ok) {
+      throw new Error(user.message || `Token check failed (${response.status})`);
+    }
+
+    // Classic tokens report their scopes; fine-grained tokens don't, so the repo permissions decide
+    const scopeHeader = response.headers.get('X-OAuth-Scopes');
+    if (scopeHeader !== null) {
+      const scopes = scopeHeader.split(',').map(scope => scope.trim()).filter(Boolean);
+      if (!scopes.includes('repo') && !scopes.includes('public_repo')) {
+        throw new Error(`The token needs the "repo" scope (it has ${scopes.length ? scopes.join(', ') : 'none'})`);
+      }
+    }
+
+    const repo = await this.githubRequest(token, '');
+    if (repo.permissions && !repo.permissions.push) {
+      throw new Error(`@${user.login} can't push to ${settings.owner}/${settings.repo}`);
+    }
+
+    this.verifiedGithub = { token, repository, login: user.login };
+    return this.verifiedGithub;
+  }
+
+  async rememberGithubToken(token, settings) {
+    const passphrase = document.getElementById('githubPassphrase').value;
+    if (settings.tokenStorage === 'encrypted' && passphrase) {
+      await this.tokenVault.store(token, passphrase);
+      this.legacyTokenMigrated = false;
+    } else if (settings.tokenStorage === 'session') {
+      this.tokenVault.keepForSession(token);
+    } else {
+      this.tokenVault.token = token;
+    }
+
+    document.getElementById('githubToken').value = '';
+    document.getElementById('githubPassphrase').value = '';
+    this.updateTokenStatus();
+  }
+
+  forgetGithubToken() {
+    this.tokenVault.forget();
+    this.verifiedGithub = null;
+    this.legacyTokenMigrated = false;
+    document.getElementById('githubToken').value = '';
+    document.getElementById('githubPassphrase').value = '';
+    this.updateTokenStatus();
+    this.showToast('GitHub token forgotten', 'success');
+  }
+
+  createProposalBranchName() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+/, '').replace('T', '-');
+    return `blog-editor/${stamp}`;
+  }
+
+  async commitToGitHub() {
+    const message = document.getElementById('commitMessage').value.trim() || 'Update blog posts';
+
+    const settings = this.readGithubSettingsForm();
+    if (!settings.owner || !settings.repo || !settings.filePath) {
+      this.showToast('Please fill in the repository owner, name and file path', 'error');
+      return;
+    }
+
+    const token = await this.resolveGithubToken(settings);
+    if (!token) return;
+
+    this.saveGithubSettings();
+    const isProposal = settings.mode === 'pull-request';
+
+    try {
+      await this.verifyGithubToken(token, settings);
+
+      // Resolve the branch head and its tree
+      const repo = await this.githubRequest(token, '');
+      const branch = settings.branch || repo.default_branch;
+      const ref = await this.githubRequest(token, `/git/ref/heads/${branch}`);
+      const headCommit = await this.githubRequest(token, `/git/commits/${ref.object.sha}`);
+
+      // Fold in anything committed from elsewhere since the editor loaded
+      let localPosts = this.posts;
+      let categories = this.categories;
+      const remote = await this.fetchRemoteBlogData(token, branch);
+      if (remote.sha !== this.baseSha) {
+        const result = await this.mergeRemoteChanges(remote.data);
+        if (!result) {
+          this.showToast('Commit cancelled', 'info');
+          return;
+        }
+        localPosts = result.posts;
+        categories = result.categories;
+        this.showToast(result.conflictCount
+          ? `Merged remote changes (${result.conflictCount} conflict${result.conflictCount === 1 ? '' : 's'} resolved)`
+          : 'Merged remote changes', 'info');
+      }
+
+      const { posts, uploads } = await this.extractImageUploads(localPosts);
+      const data = {
+        posts: posts,
+        categories: categories
+      };
+      const json = JSON.stringify(data, null, 2);
+
+      // Upload each image as a blob
+      const tree = [];
+      for (const [path, base64] of uploads) {
+        const blob = await this.githubRequest(token, '/git/blobs', {
+          method: 'POST',
+          body: JSON.stringify({ content: base64, encoding: 'base64' })
+        });
+        tree.push({ path, mode: '100644', type: 'blob', sha: blob.sha });
+      }
+
+      tree.push({
+        path: settings.filePath,
+        mode: '100644',
+        type: 'blob',
+        content: json
+      });
+
+      // The blog page lists posts from a light index and loads each post's content on demand
+      const dataDir = settings.filePath.includes('/') ? settings.filePath.slice(0, settings.filePath.lastIndexOf('/') + 1) : '';
+      const dataFiles = PostIndex.files(posts, categories);
+      dataFiles.forEach(file => {
+        tree.push({ path: `${dataDir}${file.path}`, mode: '100644', type: 'blob', content: file.content });
+      });
+
+      // Files for deleted, renamed or unpublished posts are removed
+      const postPaths = new Set(dataFiles.map(file => `${dataDir}${file.path}`));
+      const existing = await this.listGithubFolder(token, `${dataDir}${PostIndex.POSTS_DIR}`, branch);
+      existing.filter(path => path.endsWith('.json') && !postPaths.has(path)).forEach(path => {
+        tree.push({ path, mode: '100644', type: 'blob', sha: null });
+      });
+
+      // Images, blogs.json and the post index land in a single commit
+      const newTree = await this.githubRequest(token, '/git/trees', {
+        method: 'POST',
+        body: JSON.stringify({ base_tree: headCommit.tree.sha, tree })
+      });
+
+      const commit = await this.githubRequest(token, '/git/commits', {
+        method: 'POST',
+        body: JSON.stringify({
+          message: message,
+          tree: newTree.sha,
+          parents: [headCommit.sha]
+        })
+      });
+
+      let pullRequest = null;
+      if (isProposal) {
+        // Propose changes: new branch at the commit, then a pull request into the target branch
+        const proposalBranch = this.createProposalBranchName();
+        await this.githubRequest(token, '/git/refs', {
+          method: 'POST',
+          body: JSON.stringify({ ref: `refs/heads/${proposalBranch}`, sha: commit.sha })
+        });
+
+        pullRequest = await this.githubRequest(token, '/pulls', {
+          method: 'POST',
+          body: JSON.stringify({
+            title: message.split('\n')[0],
+            body: message,
+            head: proposalBranch,
+            base: branch
+          })
+        });
+      } else {
+        await this.githubRequest(token, `/git/refs/heads/${branch}`, {
+          method: 'PATCH',
+          body: JSON.stringify({ sha: commit.sha })
+        });
+      }
+
+      // Posts now point at the committed image files
+      uploads.forEach((base64, path) => this.linter.knownPaths.add(path));
+      this.posts = posts;
+      this.categories = categories;
+      this.searchIndex.build(this.posts);
+
+      // A direct commit is the new merge base; a pull request leaves the branch untouched
+      if (!isProposal) {
+        this.baseData = JSON.parse(json);
+        // The new tree only lists top-level entries, so the sha is worked out from what was written
+        this.baseSha = await this.gitBlobSha(json).catch(() => null);
+      }
+      this.syncCommittedImage();
+      this.renderPostList();
+
+      // Keep the token as chosen: encrypted on this device or in memory only
+      await this.rememberGithubToken(token, settings);
+
+      const imageNote = uploads.size ? ` with ${uploads.size} image${uploads.size === 1 ? '' : 's'}` : '';
+      if (pullRequest) {
+        document.getElementById('githubResult').innerHTML = `
+          <i class="fas fa-code-pull-request"></i>
+          Opened <a href="${pullRequest.html_url}" target="_blank" rel="noopener noreferrer">pull request #${pullRequest.number}</a>${imageNote}.
+        `;
+        this.showToast(`Pull request #${pullRequest.number} opened!`, 'success');
+      } else {
+        this.closeModal('githubModal');
+        this.showToast(`Successfully committed to ${branch}${imageNote}!`, 'success');
+      }
+    } catch (error) {
+      this.showToast(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  // Swap the open post's uploaded image for its new repository path
+  syncCommittedImage() {
+    const post = this.currentPostId && this.posts.find(p => p.id === this.currentPostId);
+    if (!post || !this.featuredImageData || (post.image || '').startsWith('data:')) return;
+
+    this.featuredImageData = null;
+    this.featuredImageVariants = post.imageVariants || [];
+    document.getElementById('imageUrl').value = post.image;
+  }
+
+  // Modal Handling
+  openModal(modalId) {
+    document.getElementById(modalId).classList.add('active');
+    document.body.style.overflow = 'hidden';
+  }
+
+  closeModal(modalId) {
+    document.getElementById(modalId).classList.remove('active');
+    // Modals can stack (the media library opens over the embed editor)
+    if (!document.querySelector('.modal.active')) {
+      document.body.style.overflow = '';
+    }
+
+    // Closing the conflict resolver without confirming cancels the commit
+    if (modalId === 'conflictModal' && this.pendingConflictResolve) {
+      const resolve = this.pendingConflictResolve;
+      this.pendingConflictResolve = null;
+      resolve(null);
+    }
+  }
+
+  // Toast Notifications
+  showToast(message, type = 'info') {
+    const container = document.getElementById('toastContainer');
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
 
@@ -907,6 +3199,193 @@ class BlogEditor {
     }, 3000);
   }
 
+  // Commands
+  getCommands() {
+    const isMarkdown = this.editorMode === 'markdown';
+    return [
+      { id: 'save', label: 'Save post', icon: 'fas fa-save', run: () => this.savePost({ promptDownload: false }) },
+      { id: 'preview', label: 'Preview post', icon: 'fas fa-eye', run: () => this.showPreview() },
+      { id: 'new-post', label: 'New post', icon: 'fas fa-plus', run: () => this.createNewPost() },
+      { id: 'content-check', label: 'Run content check', icon: 'fas fa-clipboard-check', run: () => this.runContentCheck() },
+      { id: 'history', label: 'Show revision history', icon: 'fas fa-history', run: () => this.showRevisions() },
+      { id: 'download-revisions', label: 'Download revision history', icon: 'fas fa-file-download', run: () => this.downloadRevisions() },
+      { id: 'media-library', label: 'Open media library', icon: 'fas fa-images', run: () => this.openMediaLibrary() },
+      { id: 'categories', label: 'Manage categories', icon: 'fas fa-folder-open', run: () => this.showCategoryManager() },
+      {
+        id: 'toggle-editor-mode',
+        label: isMarkdown ? 'Switch to rich text' : 'Switch to Markdown',
+        icon: isMarkdown ? 'fas fa-font' : 'fab fa-markdown',
+        run: () => this.setEditorMode(isMarkdown ? 'rich' : 'markdown')
+      },
+      { id: 'download-json', label: 'Download blog data', icon: 'fas fa-download', run: () => this.downloadJson() },
+      { id: 'export', label: 'Export posts', icon: 'fas fa-file-export', run: () => this.openExport() },
+      { id: 'import-posts', label: 'Import posts', icon: 'fas fa-file-import', run: () => document.getElementById('importFileInput').click() },
+      { id: 'commit', label: 'Commit to GitHub', icon: 'fab fa-github', run: () => this.openGithubModal() },
+      { id: 'command-palette', label: 'Command palette', icon: 'fas fa-terminal', run: () => this.openCommandPalette() },
+      { id: 'show-shortcuts', label: 'Keyboard shortcuts', icon: 'fas fa-keyboard', run: () => this.showShortcuts() }
+    ];
+  }
+
+  runCommand(commandId) {
+    const command = this.getCommands().find(cmd => cmd.id === commandId);
+    if (command) command.run();
+  }
+
+  handleShortcut(e) {
+    // The shortcuts overlay is capturing a new binding
+    if (this.recordingCommand) {
+      this.recordShortcut(e);
+      return;
+    }
+
+    const commandId = this.shortcuts.match(e);
+    if (!commandId) return;
+
+    const combo = this.shortcuts.get(commandId);
+    const target = e.target;
+    const isTyping = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    if (isTyping && EditorShortcuts.isPlainKey(combo)) return;
+
+    // Other dialogs keep their own keys; the palette toggles itself. Bound Ctrl/Cmd
+    // combos still do nothing there rather than open the browser's print or save dialog
+    const openModal = document.querySelector('.modal.active');
+    if (openModal && !(openModal.id === 'paletteModal' && commandId === 'command-palette')) {
+      if (combo.startsWith('Mod+')) e.preventDefault();
+      return;
+    }
+
+    e.preventDefault();
+    if (commandId === 'command-palette' && openModal) {
+      this.closeModal('paletteModal');
+    } else {
+      this.runCommand(commandId);
+    }
+  }
+
+  renderShortcutKeys(combo) {
+    return this.shortcuts.keys(combo).map(key => `<kbd>${this.escapeHtml(key)}</kbd>`).join('');
+  }
+
+  // Command Palette
+  openCommandPalette() {
+    const input = document.getElementById('paletteInput');
+    input.value = '';
+    this.renderCommandPalette();
+    this.openModal('paletteModal');
+    input.focus();
+  }
+
+  renderCommandPalette() {
+    const query = document.getElementById('paletteInput').value.trim();
+    const commands = this.getCommands()
+      .filter(cmd => cmd.id !== 'command-palette')
+      .map(cmd => ({ type: 'command', id: cmd.id, label: cmd.label, icon: cmd.icon, combo: this.shortcuts.get(cmd.id) }));
+    const posts = this.posts.map(post => ({ type: 'post', id: post.id, label: post.title, icon: 'fas fa-file-alt', meta: this.getCategoryName(post.category) }));
+
+    this.paletteItems = [...commands, ...posts]
+      .map(item => ({ ...item, match: EditorShortcuts.fuzzyMatch(query, item.label) }))
+      .filter(item => item.match)
+      // Without a query, commands stay in their usual order ahead of posts
+      .sort((a, b) => (query ? b.match.score - a.match.score : 0))
+      .slice(0, 50);
+    this.paletteIndex = 0;
+
+    const list = document.getElementById('paletteList');
+    if (!this.paletteItems.length) {
+      list.innerHTML = `
+        <li class="empty-state">
+          <i class="fas fa-search"></i>
+          <p>No matching commands or posts</p>
+        </li>
+      `;
+      return;
+    }
+
+    list.innerHTML = this.paletteItems.map((item, index) => `
+      <li class="palette-item ${index === 0 ? 'active' : ''}" data-index="${index}" role="option" aria-selected="${index === 0}">
+        <i class="${item.icon}"></i>
+        <span class="palette-label">${this.highlightMatch(item.label, item.match.indices)}</span>
+        ${item.type === 'post'
+          ? `<span class="palette-meta">${this.escapeHtml(item.meta)}</span>`
+          : `<span class="palette-keys">${this.renderShortcutKeys(item.combo)}</span>`}
+      </li>
+    `).join('');
+  }
+
+  highlightMatch(text, indices) {
+    const matched = new Set(indices);
+    return Array.from(text).map((char, i) => (matched.has(i)
+      ? `<strong>${this.escapeHtml(char)}</strong>`
+      : this.escapeHtml(char))).join('');
+  }
+
+  movePaletteSelection(step) {
+    if (!this.paletteItems.length) return;
+
+    this.paletteIndex = (this.paletteIndex + step + this.paletteItems.length) % this.paletteItems.length;
+    document.querySelectorAll('#paletteList .palette-item').forEach((li, index) => {
+      li.classList.toggle('active', index === this.paletteIndex);
+      li.setAttribute('aria-selected', index === this.paletteIndex);
+      if (index === this.paletteIndex) li.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  runPaletteItem(index = this.paletteIndex) {
+    const item = this.paletteItems[index];
+    if (!item) return;
+
+    this.closeModal('paletteModal');
+    if (item.type === 'post') {
+      this.loadPost(item.id);
+    } else {
+      this.runCommand(item.id);
+    }
+  }
+
+  // Shortcut Overlay
+  showShortcuts() {
+    this.recordingCommand = null;
+    this.renderShortcuts();
+    this.openModal('shortcutsModal');
+  }
+
+  renderShortcuts() {
+    document.getElementById('shortcutList').innerHTML = this.getCommands().map(cmd => `
+      <li class="shortcut-row ${this.recordingCommand === cmd.id ? 'recording' : ''}" data-command="${cmd.id}">
+        <span class="shortcut-label"><i class="${cmd.icon}"></i> ${this.escapeHtml(cmd.label)}</span>
+        <span class="palette-keys">
+          ${this.recordingCommand === cmd.id
+            ? '<em>Press keys… (Esc to cancel, Backspace to clear)</em>'
+            : this.renderShortcutKeys(this.shortcuts.get(cmd.id)) || '<em>Not set</em>'}
+        </span>
+        <button type="button" class="link-btn" data-action="rebind">Change</button>
+      </li>
+    `).join('');
+  }
+
+  recordShortcut(e) {
+    const combo = this.shortcuts.fromEvent(e);
+    if (!combo) return;
+
+    // Escape must not also close the overlay
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    const commandId = this.recordingCommand;
+    this.recordingCommand = null;
+
+    if (combo === 'Escape') {
+      this.renderShortcuts();
+      return;
+    }
+
+    const replaced = this.shortcuts.set(commandId, combo === 'Backspace' ? '' : combo);
+    this.renderShortcuts();
+    if (replaced) {
+      const label = this.getCommands().find(cmd => cmd.id === replaced).label;
+      this.showToast(`${this.shortcuts.keys(combo).join('+')} was moved from "${label}"`, 'info');
+    }
+  }
+
   // Event Listeners
   setupEventListeners() {
     // New Post Button
@@ -924,6 +3403,38 @@ class BlogEditor {
       this.showPreview();
     });
 
+    // Content Check
+    document.getElementById('lintBtn').addEventListener('click', () => {
+      this.runContentCheck();
+    });
+
+    document.getElementById('closeLintBtn').addEventListener('click', () => {
+      this.hideLintPanel();
+    });
+
+    // Revision History
+    document.getElementById('downloadRevisionsBtn').addEventListener('click', () => {
+      this.downloadRevisions();
+    });
+
+    document.getElementById('historyBtn').addEventListener('click', () => {
+      this.showRevisions();
+    });
+
+    document.getElementById('revisionList').addEventListener('click', (e) => {
+      const item = e.target.closest('.revision-item');
+      if (item) {
+        this.showRevisionDiff(item.dataset.revisionId);
+      }
+    });
+
+    document.getElementById('revisionDiff').addEventListener('click', (e) => {
+      const btn = e.target.closest('#restoreRevisionBtn');
+      if (btn) {
+        this.restoreRevision(btn.dataset.revisionId);
+      }
+    });
+
     // Post List Click
     document.getElementById('postList').addEventListener('click', (e) => {
       const item = e.target.closest('.post-list-item');
@@ -931,7 +3442,9 @@ class BlogEditor {
 
       if (action) {
         const postId = item.dataset.postId;
-        if (action.dataset.action === 'edit') {
+        if (action.dataset.action === 'select') {
+          this.togglePostSelection(postId, action.checked);
+        } else if (action.dataset.action === 'edit') {
           this.loadPost(postId);
         } else if (action.dataset.action === 'delete') {
           this.deletePost(postId);
@@ -941,9 +3454,37 @@ class BlogEditor {
       }
     });
 
-    // Search Posts
-    document.getElementById('postSearch').addEventListener('input', (e) => {
-      this.renderPostList(e.target.value);
+    // Editor Mode Toggle
+    document.querySelectorAll('[data-editor-mode]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.setEditorMode(btn.dataset.editorMode);
+      });
+    });
+
+    // Search, sort and filter posts
+    document.getElementById('postSearch').addEventListener('input', () => {
+      this.renderPostList();
+    });
+
+    ['postSort', 'filterStatus', 'filterCategory', 'filterTag', 'filterFeatured'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.renderPostList());
+    });
+
+    // Bulk actions
+    document.getElementById('selectAllPosts').addEventListener('change', (e) => {
+      this.toggleSelectAllPosts(e.target.checked);
+    });
+
+    document.getElementById('bulkAction').addEventListener('change', () => {
+      this.updateBulkFields();
+    });
+
+    document.getElementById('applyBulkBtn').addEventListener('click', () => {
+      this.confirmBulkAction();
+    });
+
+    document.getElementById('confirmBulkBtn').addEventListener('click', () => {
+      this.applyBulkAction();
     });
 
     // Auto-generate slug from title
@@ -951,6 +3492,56 @@ class BlogEditor {
       const slugField = document.getElementById('postSlug');
       if (!slugField.value) {
         slugField.value = this.generateSlug(e.target.value);
+        this.updateSlugHint();
+      }
+    });
+
+    document.getElementById('postSlug').addEventListener('input', () => {
+      this.updateSlugHint();
+    });
+
+    // Read time override
+    document.getElementById('readTimeOverride').addEventListener('change', () => {
+      this.updateReadingStats();
+    });
+
+    document.getElementById('markdownEditor').addEventListener('input', () => {
+      this.scheduleReadingStatsUpdate();
+    });
+
+    // Status select toggles the schedule field
+    document.getElementById('postStatus').addEventListener('change', () => {
+      this.updatePublishAtVisibility();
+    });
+
+    // Category Manager
+    document.getElementById('manageCategoriesBtn').addEventListener('click', () => {
+      this.showCategoryManager();
+    });
+
+    document.getElementById('addCategoryBtn').addEventListener('click', () => {
+      this.addCategory();
+    });
+
+    document.getElementById('newCategoryName').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.addCategory();
+      }
+    });
+
+    const categoryManagerList = document.getElementById('categoryManagerList');
+    categoryManagerList.addEventListener('change', (e) => {
+      const row = e.target.closest('.category-row');
+      if (row && e.target.dataset.field) {
+        this.updateCategory(row.dataset.categoryId, e.target.dataset.field, e.target.value);
+      }
+    });
+
+    categoryManagerList.addEventListener('click', (e) => {
+      const row = e.target.closest('.category-row');
+      if (row && e.target.closest('[data-action="delete-category"]')) {
+        this.deleteCategory(row.dataset.categoryId);
       }
     });
 
@@ -1017,25 +3608,134 @@ class BlogEditor {
       if (e.target.value) {
         this.showImagePreview(e.target.value);
         this.featuredImageData = null;
+        this.featuredImageVariants = [];
+      }
+    });
+
+    // Media Library
+    document.getElementById('featuredFromLibraryBtn').addEventListener('click', () => {
+      this.openMediaLibrary();
+    });
+
+    // Embed Blocks
+    document.getElementById('embedForm').addEventListener('input', (e) => {
+      if (!this.embedDraft) return;
+
+      if (e.target.id === 'embedProject') {
+        const project = this.embedDraft.projects.find(p => p.id === e.target.value);
+        this.embedDraft.value = { id: e.target.value, title: project ? project.title : '' };
+        return;
+      }
+
+      const row = e.target.closest('.embed-image-row');
+      const field = e.target.dataset.field;
+      if (row && field) {
+        this.getEmbedImages()[Number(row.dataset.row)][field] = e.target.value;
       }
     });
 
+    document.getElementById('embedForm').addEventListener('click', (e) => {
+      const row = e.target.closest('.embed-image-row');
+      const action = e.target.closest('[data-action]');
+
+      if (e.target.closest('#addEmbedImageBtn')) {
+        this.chooseEmbedImage();
+      } else if (row && action && action.dataset.action === 'choose') {
+        this.chooseEmbedImage(Number(row.dataset.row));
+      } else if (row && action && action.dataset.action === 'remove') {
+        this.getEmbedImages().splice(Number(row.dataset.row), 1);
+        this.renderEmbedForm();
+      }
+    });
+
+    document.getElementById('confirmEmbedBtn').addEventListener('click', () => {
+      this.confirmEmbed();
+    });
+
+    document.getElementById('mediaSearch').addEventListener('input', () => {
+      this.renderMediaLibrary();
+    });
+
+    document.getElementById('mediaGrid').addEventListener('click', (e) => {
+      const item = e.target.closest('.media-item');
+      if (item) {
+        this.selectMediaItem(Number(item.dataset.index));
+      }
+    });
+
+    document.getElementById('mediaDetails').addEventListener('input', (e) => {
+      const item = this.mediaItems[this.selectedMediaIndex];
+      if (item && e.target.id === 'mediaAlt') {
+        item.alt = e.target.value.trim();
+      }
+    });
+
+    document.getElementById('mediaDetails').addEventListener('click', (e) => {
+      if (e.target.closest('#mediaInsertBtn')) {
+        this.insertMediaImage();
+      } else if (e.target.closest('#mediaFeaturedBtn')) {
+        this.setFeaturedFromLibrary();
+      } else if (e.target.closest('#mediaPickBtn')) {
+        this.pickMediaImage();
+      }
+    });
+
+    document.getElementById('mediaUploadBtn').addEventListener('click', () => {
+      document.getElementById('mediaFileInput').click();
+    });
+
+    document.getElementById('mediaFileInput').addEventListener('change', (e) => {
+      if (e.target.files[0]) {
+        this.uploadToMediaLibrary(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+
     // Download JSON Button
     document.getElementById('downloadJsonBtn').addEventListener('click', () => {
       this.downloadJson();
     });
 
-    // Import JSON Button
-    document.getElementById('importJsonBtn').addEventListener('click', () => {
-      document.getElementById('jsonFileInput').click();
+    // Export
+    document.getElementById('exportPostsBtn').addEventListener('click', () => {
+      this.openExport();
     });
 
-    document.getElementById('jsonFileInput').addEventListener('change', (e) => {
-      if (e.target.files[0]) {
-        this.importJson(e.target.files[0]);
+    document.querySelectorAll('input[name="exportFormat"], input[name="exportScope"]').forEach(radio => {
+      radio.addEventListener('change', () => this.updateExportOptions());
+    });
+
+    document.getElementById('confirmExportBtn').addEventListener('click', () => {
+      this.runExport();
+    });
+
+    // Import Posts
+    document.getElementById('importPostsBtn').addEventListener('click', () => {
+      document.getElementById('importFileInput').click();
+    });
+
+    document.getElementById('importFileInput').addEventListener('change', (e) => {
+      this.importPosts(Array.from(e.target.files));
+      // Picking the same file again should import it again
+      e.target.value = '';
+    });
+
+    document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+      radio.addEventListener('change', () => this.setImportMode(radio.value));
+    });
+
+    document.getElementById('importList').addEventListener('change', (e) => {
+      const select = e.target.closest('select[data-index]');
+      if (select) {
+        this.pendingImport.items[Number(select.dataset.index)].action = select.value;
+        this.renderImportPreview();
       }
     });
 
+    document.getElementById('confirmImportBtn').addEventListener('click', () => {
+      this.applyImport();
+    });
+
     // Delete Confirmation
     document.getElementById('confirmDeleteBtn').addEventListener('click', () => {
       this.confirmDelete();
@@ -1046,12 +3746,31 @@ class BlogEditor {
       this.commitToGitHub();
     });
 
-    // Load saved GitHub token
-    const savedToken = localStorage.getItem('github_token');
-    if (savedToken) {
-      document.getElementById('githubToken').value = savedToken;
+    // Open GitHub Commit Modal
+    document.getElementById('openGithubBtn').addEventListener('click', () => {
+      this.openGithubModal();
+    });
+
+    // Conflict Resolution
+    document.getElementById('confirmConflictsBtn').addEventListener('click', () => {
+      this.confirmConflictResolution();
+    });
+
+    // Tokens saved in plain text by older versions stay in memory only until saved encrypted
+    const legacyToken = this.tokenVault.takeLegacyToken();
+    if (legacyToken) {
+      this.tokenVault.token = legacyToken;
+      this.legacyTokenMigrated = true;
     }
 
+    document.querySelectorAll('input[name="tokenStorage"]').forEach(radio => {
+      radio.addEventListener('change', () => this.updateTokenStatus());
+    });
+
+    document.getElementById('forgetTokenBtn').addEventListener('click', () => {
+      this.forgetGithubToken();
+    });
+
     // Close Modals
     document.querySelectorAll('[data-close-modal]').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -1062,6 +3781,53 @@ class BlogEditor {
       });
     });
 
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+      this.handleShortcut(e);
+    });
+
+    // Command palette
+    document.getElementById('paletteInput').addEventListener('input', () => {
+      this.renderCommandPalette();
+    });
+
+    document.getElementById('paletteInput').addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.movePaletteSelection(e.key === 'ArrowDown' ? 1 : -1);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this.runPaletteItem();
+      }
+    });
+
+    document.getElementById('paletteList').addEventListener('click', (e) => {
+      const item = e.target.closest('.palette-item');
+      if (item) {
+        this.runPaletteItem(Number(item.dataset.index));
+      }
+    });
+
+    // Shortcut overlay
+    document.getElementById('shortcutsBtn').addEventListener('click', () => {
+      this.showShortcuts();
+    });
+
+    document.getElementById('shortcutList').addEventListener('click', (e) => {
+      const row = e.target.closest('[data-action="rebind"]')?.closest('.shortcut-row');
+      if (row) {
+        this.recordingCommand = row.dataset.command;
+        this.renderShortcuts();
+      }
+    });
+
+    document.getElementById('resetShortcutsBtn').addEventListener('click', () => {
+      this.shortcuts.reset();
+      this.recordingCommand = null;
+      this.renderShortcuts();
+      this.showToast('Shortcuts reset to defaults', 'success');
+    });
+
     // ESC key to close modals
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
@@ -0,0 +1,51 @@
+/**
+ * Blog Router
+ * Keeps the blog page's state in the query string so views can be shared
+ *
+ * blogs.html?post=<slug>&category=<id>&tag=<tag>&q=<search>&page=<n> is the
+ * canonical form. Links written as blogs.html#/post/<slug> are read too and
+ * rewritten to it.
+ * Parameters the blog doesn't own (utm_source and friends) are left alone.
+ */
+
+class BlogRouter {
+  static get PARAMS() { return ['post', 'category', 'tag', 'q', 'page']; }
+
+  static read(location = window.location) {
+    const params = new URLSearchParams(location.search);
+    const state = {};
+    this.PARAMS.forEach(name => {
+      state[name] = params.get(name) || '';
+    });
+
+    const hash = /^#\/post\/([^/?#]+)/.exec(location.hash);
+    if (hash && !state.post) {
+      state.post = decodeURIComponent(hash[1]);
+    }
+    return state;
+  }
+
+  // Empty values are dropped, so the default view is plain blogs.html
+  static href(state, location = window.location) {
+    const params = new URLSearchParams(location.search);
+    this.PARAMS.forEach(name => {
+      if (state[name]) params.set(name, state[name]);
+      else params.delete(name);
+    });
+
+    const query = params.toString();
+    const hash = /^#\/post\//.test(location.hash) ? '' : location.hash;
+    return `${location.pathname}${query ? `?${query}` : ''}${hash}`;
+  }
+
+  static push(state, data = null) {
+    history.pushState(data, '', this.href(state));
+  }
+
+  static replace(state) {
+    const href = this.href(state);
+    if (href !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      history.replaceState(history.state, '', href);
+    }
+  }
+}
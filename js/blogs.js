@@ -1,6 +1,8 @@
 /**
  * Blog Management System
- * Dynamically loads and renders blog posts from data/blogs.json
+ * Dynamically loads and renders blog posts from data/blog-index.json, falling
+ * back to data/blogs.json; post bodies load from data/posts/ when opened and
+ * the text searched inside posts from data/blog-search.json on the first search
  */
 
 class BlogManager {
@@ -8,7 +10,23 @@ class BlogManager {
     this.posts = [];
     this.categories = [];
     this.currentCategory = 'all';
+    this.currentTag = '';
+    this.TAG_CLOUD_LIMIT = 24;
+    this.RELATED_LIMIT = 3;
+    this.searchQuery = '';
+    this.searchIndex = new PostSearch();
+    this.openPostId = null;
+    this.pageTitle = document.title;
     this.modal = document.getElementById('blog-modal');
+    this.contentRequests = new Map();
+    this.searchTextRequest = null;
+
+    // <div id="blog-posts" data-page-size="9" data-pagination="pages|more|infinite">
+    const grid = document.getElementById('blog-posts');
+    this.pageSize = Number(grid?.dataset.pageSize) || 9;
+    this.paginationMode = grid?.dataset.pagination || 'pages';
+    this.currentPage = 1;
+    this.scrollObserver = null;
     
     this.init();
   }
@@ -16,17 +34,24 @@ class BlogManager {
   async init() {
     await this.loadBlogData();
     this.renderCategories();
+    this.renderTagCloud();
     this.renderFeaturedPost();
     this.renderBlogPosts();
     this.setupEventListeners();
+    this.applyUrlState();
   }
 
+  // The index is written by the editor's commits and data downloads; until then blogs.json serves everything
   async loadBlogData() {
     try {
-      const response = await fetch('data/blogs.json');
+      let response = await fetch(`data/${PostIndex.INDEX_FILE}`);
+      if (!response.ok || await this.isIndexStale(response)) {
+        response = await fetch('data/blogs.json');
+      }
       const data = await response.json();
-      this.posts = data.posts;
-      this.categories = data.categories;
+      this.posts = (data.posts || []).filter(post => this.isPublished(post));
+      this.categories = BlogCategories.normalize(data.categories);
+      this.searchIndex.build(this.posts);
     } catch (error) {
       console.error('Error loading blog data:', error);
       this.posts = [];
@@ -34,18 +59,123 @@ class BlogManager {
     }
   }
 
+  // A blogs.json edited by hand or uploaded on its own is newer than the index.
+  // Hosts that don't send Last-Modified keep the index
+  async isIndexStale(indexResponse) {
+    const indexTime = Date.parse(indexResponse.headers.get('Last-Modified'));
+    if (isNaN(indexTime)) return false;
+
+    try {
+      const source = await fetch('data/blogs.json', { method: 'HEAD' });
+      return source.ok && Date.parse(source.headers.get('Last-Modified')) > indexTime;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Posts without a status predate the workflow and count as published
+  isPublished(post, now = new Date()) {
+    const status = post.status || 'published';
+    if (status === 'draft') return false;
+    if (status === 'scheduled') {
+      return Boolean(post.publishAt) && new Date(post.publishAt) <= now;
+    }
+    return true;
+  }
+
   renderCategories() {
     const container = document.getElementById('category-filters');
     if (!container) return;
 
-    container.innerHTML = this.categories.map(cat => `
-      <button class="category-btn ${cat.id === 'all' ? 'active' : ''}" 
-              data-category="${cat.id}">
-        ${cat.name} ${cat.count ? `(${cat.count})` : ''}
+    // Counts come from the posts themselves; empty categories are hidden
+    const counts = BlogCategories.counts(this.posts, this.categories);
+    const categories = [
+      { id: 'all', name: 'All Posts', description: '', count: this.posts.length },
+      ...this.categories
+        .map(cat => ({ ...cat, count: counts.get(cat.id) || 0 }))
+        .filter(cat => cat.count > 0)
+    ];
+
+    container.innerHTML = categories.map(cat => `
+      <button class="category-btn ${cat.id === this.currentCategory ? 'active' : ''}" 
+              data-category="${cat.id}"
+              ${cat.description ? `title="${cat.description}"` : ''}>
+        ${cat.name} (${cat.count})
       </button>
     `).join('');
   }
 
+  // Tags compare case-insensitively; the spelling used most often is the one shown
+  getTagCounts() {
+    const counts = new Map();
+    this.posts.forEach(post => {
+      new Set((post.tags || []).map(tag => tag.toLowerCase())).forEach(key => {
+        const entry = counts.get(key) || { count: 0, spellings: new Map() };
+        entry.count++;
+        counts.set(key, entry);
+      });
+      (post.tags || []).forEach(tag => {
+        const spellings = counts.get(tag.toLowerCase()).spellings;
+        spellings.set(tag, (spellings.get(tag) || 0) + 1);
+      });
+    });
+
+    return Array.from(counts.values()).map(({ count, spellings }) => ({
+      tag: Array.from(spellings).sort((a, b) => b[1] - a[1])[0][0],
+      count
+    }));
+  }
+
+  findTag(tag) {
+    const key = (tag || '').toLowerCase();
+    const match = this.getTagCounts().find(entry => entry.tag.toLowerCase() === key);
+    return match ? match.tag : '';
+  }
+
+  hasTag(post, tag) {
+    return (post.tags || []).some(postTag => postTag.toLowerCase() === tag.toLowerCase());
+  }
+
+  // The most used tags, alphabetical, sized in five steps by how often they're used
+  renderTagCloud() {
+    const container = document.getElementById('tag-cloud');
+    if (!container) return;
+
+    const counts = this.getTagCounts().sort((a, b) => b.count - a.count);
+    const shown = counts.slice(0, this.TAG_CLOUD_LIMIT);
+    const active = counts.find(entry => entry.tag === this.currentTag);
+    if (active && !shown.includes(active)) shown.push(active);
+
+    const min = Math.min(...shown.map(entry => entry.count));
+    const max = Math.max(...shown.map(entry => entry.count));
+    // Equal counts sit in the middle step rather than all looking prominent
+    const weight = (count) => (max === min ? 3 : 1 + Math.round(((count - min) / (max - min)) * 4));
+    container.hidden = !shown.length;
+    container.innerHTML = shown
+      .sort((a, b) => a.tag.localeCompare(b.tag))
+      .map(({ tag, count }) => `
+        <a href="?tag=${encodeURIComponent(tag)}"
+           class="tag-cloud-item tag-weight-${weight(count)} ${tag === this.currentTag ? 'active' : ''}"
+           data-tag="${PostSearch.escapeHtml(tag)}"
+           title="${count} post${count === 1 ? '' : 's'}"
+           ${tag === this.currentTag ? 'aria-current="true"' : ''}>#${PostSearch.escapeHtml(tag)}</a>
+      `).join('');
+  }
+
+  setTag(tag, { push = false } = {}) {
+    this.currentTag = tag;
+    this.currentPage = 1;
+    this.renderTagCloud();
+    this.renderBlogPosts();
+
+    if (push) BlogRouter.push(this.getUrlState());
+    else BlogRouter.replace(this.getUrlState());
+  }
+
+  getCategoryName(categoryId) {
+    return BlogCategories.nameFor(this.categories, categoryId);
+  }
+
   renderFeaturedPost() {
     const container = document.getElementById('featured-post');
     if (!container) return;
@@ -54,52 +184,265 @@ class BlogManager {
     if (!featured) return;
 
     container.innerHTML = `
-      <img src="${featured.image}" alt="${featured.title}" class="post-image">
+      ${ImageVariants.picture(featured.image, featured.imageVariants, ImageVariants.FEATURED_SIZES, `alt="${featured.title}" class="post-image"`)}
       <div class="post-content">
         <div class="post-meta">
-          <span class="post-category">${featured.category}</span>
+          <span class="post-category">${this.getCategoryName(featured.category)}</span>
           <span class="post-date">${this.formatDate(featured.date)}</span>
-          <span class="post-read-time">${featured.readTime}</span>
+          <span class="post-read-time">${ReadingStats.readTimeFor(featured)}</span>
         </div>
         <h3 class="post-title">${featured.title}</h3>
         <p class="post-excerpt">${featured.excerpt}</p>
-        <a href="#" class="read-more" data-post-id="${featured.id}">
+        <a href="?post=${encodeURIComponent(PostSlugs.slugOf(featured))}" class="read-more" data-post-id="${featured.id}">
           Read Article <i class="fas fa-arrow-right"></i>
         </a>
       </div>
     `;
   }
 
+  // Search results keep their ranking; the category and tag filters narrow them further
+  getVisiblePosts() {
+    const inView = (post) => (this.currentCategory === 'all' ||
+      BlogCategories.resolveId(this.categories, post.category) === this.currentCategory) &&
+      (!this.currentTag || this.hasTag(post, this.currentTag));
+
+    if (!this.searchQuery.trim()) {
+      return this.posts.filter(inView).map(post => ({ post, terms: [] }));
+    }
+    return this.searchIndex.search(this.searchQuery).filter(result => inView(result.post));
+  }
+
   renderBlogPosts() {
     const container = document.getElementById('blog-posts');
     if (!container) return;
 
-    const filteredPosts = this.currentCategory === 'all' 
-      ? this.posts 
-      : this.posts.filter(post => post.category.toLowerCase() === this.currentCategory);
+    const results = this.getVisiblePosts();
+    const isSearching = Boolean(this.searchQuery.trim());
+    this.currentPage = Math.min(this.currentPage, this.getPageCount(results.length));
+    this.renderSearchStatus(results.length);
+    this.renderPostsTitle();
+    this.renderPagination(results.length);
+
+    if (!results.length) {
+      const filters = [
+        this.currentCategory === 'all' ? '' : ` in ${this.getCategoryName(this.currentCategory)}`,
+        this.currentTag ? ` tagged #${PostSearch.escapeHtml(this.currentTag)}` : ''
+      ].join('');
+      container.innerHTML = `
+        <p class="blog-empty">
+          ${isSearching ? `No posts match "${PostSearch.escapeHtml(this.searchQuery.trim())}"` : 'No posts'}${filters}.
+        </p>
+      `;
+      return;
+    }
+
+    // Numbered pages show one page; load more and infinite scroll show everything up to it
+    const end = this.currentPage * this.pageSize;
+    const start = this.paginationMode === 'pages' ? end - this.pageSize : 0;
+    container.innerHTML = results.slice(start, end).map(result => this.cardHtml(result, isSearching)).join('');
+  }
 
-    container.innerHTML = filteredPosts.map(post => `
-      <article class="blog-card" data-post-id="${post.id}">
-        <img src="${post.image}" alt="${post.title}" class="card-image">
+  cardHtml({ post, terms }, isSearching) {
+    return `
+      <article class="blog-card" data-post-id="${post.id}" tabindex="0">
+        ${ImageVariants.picture(post.image, post.imageVariants, ImageVariants.CARD_SIZES, `alt="${post.title}" class="card-image" loading="lazy"`)}
         <div class="card-content">
           <div class="card-meta">
-            <span class="card-category">${post.category}</span>
+            <span class="card-category">${this.getCategoryName(post.category)}</span>
             <span class="card-date">${this.formatDate(post.date)}</span>
           </div>
-          <h3 class="card-title">${post.title}</h3>
-          <p class="card-excerpt">${post.excerpt}</p>
+          <h3 class="card-title">${isSearching ? PostSearch.highlight(post.title, terms) : post.title}</h3>
+          <p class="card-excerpt">${isSearching ? this.searchIndex.snippet(post.id, terms) : post.excerpt}</p>
+          ${post.tags && post.tags.length ? `
+            <div class="card-tags">
+              ${post.tags.map(tag => `
+                <a href="?tag=${encodeURIComponent(tag)}" class="card-tag ${this.currentTag && tag.toLowerCase() === this.currentTag.toLowerCase() ? 'active' : ''}" data-tag="${PostSearch.escapeHtml(tag)}">#${PostSearch.escapeHtml(tag)}</a>
+              `).join('')}
+            </div>
+          ` : ''}
           <div class="card-footer">
-            <span class="read-time">${post.readTime}</span>
+            <span class="read-time">${ReadingStats.readTimeFor(post)}</span>
             <span class="read-more-link">
               Read More <i class="fas fa-arrow-right"></i>
             </span>
           </div>
         </div>
       </article>
-    `).join('');
+    `;
+  }
+
+  getPageCount(total) {
+    return Math.max(1, Math.ceil(total / this.pageSize));
+  }
+
+  // First, last and the pages around the current one, with null marking a gap
+  getPageNumbers(pageCount) {
+    const pages = [];
+    for (let page = 1; page <= pageCount; page++) {
+      if (page === 1 || page === pageCount || Math.abs(page - this.currentPage) <= 1) {
+        pages.push(page);
+      } else if (pages[pages.length - 1] !== null) {
+        pages.push(null);
+      }
+    }
+    return pages;
   }
 
-  openModal(postId) {
+  pageHref(page) {
+    return BlogRouter.href({ ...this.getUrlState(), post: '', page: page > 1 ? String(page) : '' });
+  }
+
+  renderPagination(total) {
+    const nav = document.getElementById('blog-pagination');
+    if (!nav) return;
+
+    this.scrollObserver?.disconnect();
+    const pageCount = this.getPageCount(total);
+    if (pageCount <= 1) {
+      nav.innerHTML = '';
+      return;
+    }
+
+    if (this.paginationMode === 'pages') {
+      const pageLink = (page, label, extra = '') => `
+        <a href="${this.pageHref(page)}" class="page-btn ${extra}" data-page="${page}"
+           ${page === this.currentPage ? 'aria-current="page"' : ''}>${label}</a>
+      `;
+      nav.innerHTML = `
+        ${this.currentPage > 1 ? pageLink(this.currentPage - 1, '<i class="fas fa-arrow-left" aria-hidden="true"></i> Previous', 'page-step') : ''}
+        ${this.getPageNumbers(pageCount).map(page => (page === null
+          ? '<span class="page-gap" aria-hidden="true">…</span>'
+          : pageLink(page, page, page === this.currentPage ? 'active' : ''))).join('')}
+        ${this.currentPage < pageCount ? pageLink(this.currentPage + 1, 'Next <i class="fas fa-arrow-right" aria-hidden="true"></i>', 'page-step') : ''}
+      `;
+      return;
+    }
+
+    const remaining = total - this.currentPage * this.pageSize;
+    nav.innerHTML = remaining > 0 ? `
+      <button type="button" class="load-more-btn" data-load-more>
+        Load more <span>(${remaining} left)</span>
+      </button>
+    ` : '';
+
+    // The button doubles as the sentinel; it keeps loading while it stays near the viewport
+    if (remaining > 0 && this.paginationMode === 'infinite' && 'IntersectionObserver' in window) {
+      this.scrollObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) this.loadMore();
+      }, { rootMargin: '400px 0px' });
+      this.scrollObserver.observe(nav);
+    }
+  }
+
+  goToPage(page) {
+    this.currentPage = page;
+    this.renderBlogPosts();
+    BlogRouter.push(this.getUrlState());
+    document.getElementById('posts-title')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  // Appends the next page of cards instead of rendering the grid again
+  loadMore() {
+    const container = document.getElementById('blog-posts');
+    const results = this.getVisiblePosts();
+    const shown = this.currentPage * this.pageSize;
+    if (!container || shown >= results.length) return;
+
+    this.currentPage++;
+    const isSearching = Boolean(this.searchQuery.trim());
+    container.insertAdjacentHTML('beforeend', results
+      .slice(shown, this.currentPage * this.pageSize)
+      .map(result => this.cardHtml(result, isSearching))
+      .join(''));
+    this.renderPagination(results.length);
+    BlogRouter.replace(this.getUrlState());
+  }
+
+  // A tag view reads as its own page
+  renderPostsTitle() {
+    const title = document.getElementById('posts-title');
+    if (!title) return;
+
+    title.textContent = this.currentTag ? `Posts tagged #${this.currentTag}` : 'All Posts';
+    if (this.currentTag) {
+      const clear = document.createElement('a');
+      clear.href = '?';
+      clear.className = 'clear-tag';
+      clear.dataset.tag = this.currentTag;
+      clear.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i> Clear';
+      title.append(' ', clear);
+    }
+  }
+
+  renderSearchStatus(count) {
+    const status = document.getElementById('search-status');
+    if (!status) return;
+
+    status.textContent = this.searchQuery.trim() ? `${count} post${count === 1 ? '' : 's'} found` : '';
+  }
+
+  // Arrow keys move through the grid by column and row; Up from the first row returns to search
+  moveCardFocus(card, key) {
+    const grid = document.getElementById('blog-posts');
+    const cards = Array.from(grid.querySelectorAll('.blog-card'));
+    const columns = getComputedStyle(grid).gridTemplateColumns.split(' ').filter(Boolean).length || 1;
+    const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns };
+    const index = cards.indexOf(card) + steps[key];
+
+    if (index < 0 && key === 'ArrowUp') {
+      document.getElementById('blog-search')?.focus();
+    } else if (cards[Math.max(0, Math.min(index, cards.length - 1))]) {
+      cards[Math.max(0, Math.min(index, cards.length - 1))].focus();
+    }
+  }
+
+  // Resolves current slugs, ids and slugs a post was renamed from
+  findPost(slug) {
+    return PostSlugs.find(this.posts, slug);
+  }
+
+  getUrlState() {
+    const post = this.posts.find(p => p.id === this.openPostId);
+    return {
+      post: post ? PostSlugs.slugOf(post) : '',
+      category: this.currentCategory === 'all' ? '' : this.currentCategory,
+      tag: this.currentTag,
+      q: this.searchQuery.trim(),
+      page: this.currentPage > 1 ? String(this.currentPage) : ''
+    };
+  }
+
+  // Runs on load and on back/forward; links to an old slug, unknown category or page past the end are rewritten
+  applyUrlState() {
+    const state = BlogRouter.read();
+    const category = this.categories.some(cat => cat.id === state.category) ? state.category : 'all';
+    const tag = this.findTag(state.tag);
+    const page = Math.max(1, parseInt(state.page, 10) || 1);
+    if (category !== this.currentCategory || tag !== this.currentTag ||
+      state.q !== this.searchQuery.trim() || page !== this.currentPage) {
+      this.currentCategory = category;
+      this.currentTag = tag;
+      this.searchQuery = state.q;
+      this.currentPage = page;
+      if (state.q) this.loadSearchText();
+      const search = document.getElementById('blog-search');
+      if (search) search.value = state.q;
+      this.renderCategories();
+      this.renderTagCloud();
+      this.renderBlogPosts();
+    }
+
+    const post = this.findPost(state.post);
+    if (post) {
+      this.openModal(post.id, { updateUrl: false });
+    } else if (this.openPostId) {
+      this.closeModal({ updateUrl: false });
+    }
+
+    BlogRouter.replace(this.getUrlState());
+  }
+
+  openModal(postId, { updateUrl = true } = {}) {
     const post = this.posts.find(p => p.id === postId);
     if (!post) return;
 
@@ -107,29 +450,206 @@ class BlogManager {
     const modalBody = modalContent.querySelector('.modal-body');
 
     modalBody.innerHTML = `
-      <img src="${post.image}" alt="${post.title}" class="post-image">
+      ${ImageVariants.picture(post.image, post.imageVariants, ImageVariants.CONTENT_SIZES, `alt="${post.title}" class="post-image"`)}
       <div class="post-meta">
-        <span class="post-category">${post.category}</span>
+        <span class="post-category">${this.getCategoryName(post.category)}</span>
         <span class="post-date">${this.formatDate(post.date)}</span>
         <span class="post-author">By ${post.author}</span>
-        <span class="post-read-time">${post.readTime}</span>
+        <span class="post-read-time">${ReadingStats.readTimeFor(post)}</span>
       </div>
       <h1 class="post-title">${post.title}</h1>
-      <div class="post-content">${post.content}</div>
+      <div class="post-content">${post.content === undefined ? '<p class="post-loading">Loading…</p>' : ImageVariants.withPictures(post.content)}</div>
       <div class="post-tags">
-        ${post.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+        ${post.tags.map(tag => `<a href="?tag=${encodeURIComponent(tag)}" class="tag" data-tag="${PostSearch.escapeHtml(tag)}">#${PostSearch.escapeHtml(tag)}</a>`).join('')}
       </div>
+      ${this.renderPostNavigation(post)}
+      ${this.renderRelatedPosts(post)}
     `;
+    // Moving between posts inside the modal starts each one at the top
+    modalContent.scrollTop = 0;
+
+    const content = modalBody.querySelector('.post-content');
+    if (post.content === undefined) {
+      this.loadPostContent(post)
+        .then(() => {
+          // The reader may have moved on while it loaded
+          if (this.openPostId !== post.id) return;
+          content.innerHTML = ImageVariants.withPictures(post.content);
+          modalBody.querySelector('.post-read-time').textContent = ReadingStats.readTimeFor(post);
+          PostEmbeds.hydrate(content);
+        })
+        .catch(error => {
+          console.error('Error loading post:', error);
+          if (this.openPostId === post.id) {
+            content.innerHTML = '<p class="post-loading">This post could not be loaded. Please try again later.</p>';
+          }
+        });
+    } else {
+      // Project cards, galleries, comparisons, callouts and code blocks
+      PostEmbeds.hydrate(content);
+    }
 
     this.modal.classList.add('active');
     this.modal.setAttribute('aria-hidden', 'false');
     document.body.style.overflow = 'hidden';
+    document.title = `${post.title} - ${this.pageTitle}`;
+
+    // One history entry per visit to the modal, so Back always returns to the grid
+    const wasOpen = Boolean(this.openPostId);
+    this.openPostId = post.id;
+    if (updateUrl && wasOpen) {
+      BlogRouter.replace(this.getUrlState());
+    } else if (updateUrl) {
+      BlogRouter.push(this.getUrlState(), { modal: true });
+    }
   }
 
-  closeModal() {
+  // Oldest first; posts from the same day keep their order in blogs.json
+  getAdjacentPosts(post) {
+    const chronological = this.posts
+      .map((p, index) => ({ post: p, index }))
+      .sort((a, b) => a.post.date.localeCompare(b.post.date) || b.index - a.index)
+      .map(entry => entry.post);
+    const position = chronological.indexOf(post);
+
+    return {
+      previous: chronological[position - 1] || null,
+      next: chronological[position + 1] || null
+    };
+  }
+
+  /**
+   * Shared tags count most, then a shared category; newer posts break ties.
+   * Posts with neither a tag nor the category in common aren't related.
+   */
+  getRelatedPosts(post) {
+    const category = BlogCategories.resolveId(this.categories, post.category);
+    const now = Date.now();
+
+    return this.posts
+      .filter(candidate => candidate.id !== post.id)
+      .map(candidate => {
+        const sharedTags = (candidate.tags || []).filter(tag => this.hasTag(post, tag)).length;
+        const sameCategory = BlogCategories.resolveId(this.categories, candidate.category) === category;
+        const ageInYears = Math.max(0, now - new Date(candidate.date)) / (365 * 24 * 60 * 60 * 1000);
+        return {
+          post: candidate,
+          relevant: sharedTags > 0 || sameCategory,
+          score: sharedTags * 3 + (sameCategory ? 2 : 0) + 1 / (1 + ageInYears)
+        };
+      })
+      .filter(entry => entry.relevant)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.RELATED_LIMIT)
+      .map(entry => entry.post);
+  }
+
+  renderPostNavigation(post) {
+    const { previous, next } = this.getAdjacentPosts(post);
+    if (!previous && !next) return '';
+
+    const link = (target, direction) => (target ? `
+      <a href="?post=${encodeURIComponent(PostSlugs.slugOf(target))}" class="post-nav-link post-nav-${direction}" data-post-id="${target.id}">
+        <span class="post-nav-label">
+          ${direction === 'previous'
+            ? '<i class="fas fa-arrow-left" aria-hidden="true"></i> Previous'
+            : 'Next <i class="fas fa-arrow-right" aria-hidden="true"></i>'}
+        </span>
+        <span class="post-nav-title">${target.title}</span>
+      </a>
+    ` : '<span></span>');
+
+    return `
+      <nav class="post-navigation" aria-label="Older and newer posts">
+        ${link(previous, 'previous')}
+        ${link(next, 'next')}
+      </nav>
+    `;
+  }
+
+  renderRelatedPosts(post) {
+    const related = this.getRelatedPosts(post);
+    if (!related.length) return '';
+
+    return `
+      <section class="related-posts" aria-labelledby="related-posts-title">
+        <h2 id="related-posts-title" class="related-posts-title">Related Posts</h2>
+        <div class="related-grid">
+          ${related.map(item => `
+            <a href="?post=${encodeURIComponent(PostSlugs.slugOf(item))}" class="related-card" data-post-id="${item.id}">
+              ${ImageVariants.picture(item.image, item.imageVariants, ImageVariants.GALLERY_SIZES, 'alt="" loading="lazy"')}
+              <span class="related-category">${this.getCategoryName(item.category)}</span>
+              <span class="related-title">${item.title}</span>
+              <span class="related-date">${this.formatDate(item.date)}</span>
+            </a>
+          `).join('')}
+        </div>
+      </section>
+    `;
+  }
+
+  // Listings carry no post text; it's fetched on the first search, and results are ranked again once it arrives
+  loadSearchText() {
+    if (!this.searchTextRequest && this.posts.some(post => post.content === undefined)) {
+      this.searchTextRequest = fetch(`data/${PostIndex.SEARCH_FILE}`)
+        .then(response => {
+          if (!response.ok) throw new Error(`Search file not found (${response.status})`);
+          return response.json();
+        })
+        .then(data => {
+          const texts = new Map((data.posts || []).map(entry => [entry.id, entry.text]));
+          this.posts.forEach(post => {
+            if (!texts.has(post.id)) return;
+            post.searchText = texts.get(post.id);
+            this.searchIndex.add(post);
+          });
+          if (this.searchQuery.trim()) this.renderBlogPosts();
+        })
+        .catch(error => {
+          // Titles, excerpts and tags still match; the next search tries again
+          console.error('Error loading search text:', error);
+          this.searchTextRequest = null;
+        });
+    }
+    return this.searchTextRequest;
+  }
+
+  // Listings from the index have no content until the post is first opened
+  loadPostContent(post) {
+    if (!this.contentRequests.has(post.id)) {
+      const request = fetch(`data/${PostIndex.postPath(encodeURIComponent(PostSlugs.slugOf(post)))}`)
+        .then(response => {
+          if (!response.ok) throw new Error(`Post file not found (${response.status})`);
+          return response.json();
+        })
+        .then(full => {
+          post.content = full.content || '';
+          return post;
+        })
+        .catch(error => {
+          // A later open tries again
+          this.contentRequests.delete(post.id);
+          throw error;
+        });
+      this.contentRequests.set(post.id, request);
+    }
+    return this.contentRequests.get(post.id);
+  }
+
+  closeModal({ updateUrl = true } = {}) {
     this.modal.classList.remove('active');
     this.modal.setAttribute('aria-hidden', 'true');
     document.body.style.overflow = '';
+    document.title = this.pageTitle;
+    this.openPostId = null;
+
+    if (!updateUrl) return;
+    // Undo our own entry; a post opened straight from a link has none to go back to
+    if (history.state && history.state.modal) {
+      history.back();
+    } else {
+      BlogRouter.replace(this.getUrlState());
+    }
   }
 
   formatDate(dateString) {
@@ -144,7 +664,9 @@ class BlogManager {
         document.querySelectorAll('.category-btn').forEach(btn => btn.classList.remove('active'));
         e.target.classList.add('active');
         this.currentCategory = e.target.dataset.category;
+        this.currentPage = 1;
         this.renderBlogPosts();
+        BlogRouter.replace(this.getUrlState());
       }
     });
 
@@ -157,6 +679,21 @@ class BlogManager {
       }
     });
 
+    // Tag clicks in the cloud, the section title, cards and the post view
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest('#tag-cloud [data-tag], #posts-title [data-tag], .card-tag, .modal-body .tag');
+      if (!link) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      // From inside a post, the tag view gets its own history entry so Back returns to the post
+      const fromPost = Boolean(this.openPostId);
+      if (fromPost) this.closeModal({ updateUrl: false });
+      // Picking the active tag again clears it
+      const tag = !fromPost && link.dataset.tag === this.currentTag ? '' : link.dataset.tag;
+      this.setTag(tag, { push: fromPost });
+    }, true);
+
     // Blog card clicks
     document.getElementById('blog-posts')?.addEventListener('click', (e) => {
       const card = e.target.closest('.blog-card');
@@ -165,13 +702,82 @@ class BlogManager {
       }
     });
 
-    // Modal close
+    document.getElementById('blog-posts')?.addEventListener('keydown', (e) => {
+      const card = e.target.closest('.blog-card');
+      if (!card) return;
+
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        this.openModal(card.dataset.postId);
+      } else if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
+        e.preventDefault();
+        this.moveCardFocus(card, e.key);
+      }
+    });
+
+    // Pagination
+    document.getElementById('blog-pagination')?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-load-more]')) {
+        this.loadMore();
+        return;
+      }
+
+      const link = e.target.closest('[data-page]');
+      if (link) {
+        e.preventDefault();
+        this.goToPage(Number(link.dataset.page));
+      }
+    });
+
+    // Search
+    const search = document.getElementById('blog-search');
+    search?.addEventListener('input', () => {
+      this.searchQuery = search.value;
+      this.currentPage = 1;
+      if (this.searchQuery.trim()) this.loadSearchText();
+      this.renderBlogPosts();
+      BlogRouter.replace(this.getUrlState());
+    });
+
+    search?.addEventListener('keydown', (e) => {
+      const first = document.querySelector('#blog-posts .blog-card');
+      if (e.key === 'ArrowDown' && first) {
+        e.preventDefault();
+        first.focus();
+      } else if (e.key === 'Enter' && first) {
+        e.preventDefault();
+        this.openModal(first.dataset.postId);
+      } else if (e.key === 'Escape' && search.value) {
+        search.value = '';
+        search.dispatchEvent(new Event('input'));
+      }
+    });
+
+    // "/" jumps to search from anywhere outside a text field
+    document.addEventListener('keydown', (e) => {
+      const isTyping = e.target.closest('input, textarea, select, [contenteditable="true"]');
+      if (e.key === '/' && search && !isTyping && !this.modal?.classList.contains('active')) {
+        e.preventDefault();
+        search.focus();
+      }
+    });
+
+    // Modal close, and moving to a previous, next or related post
     this.modal?.addEventListener('click', (e) => {
-      if (e.target.hasAttribute('data-close-modal') || e.target.closest('[data-close-modal]')) {
+      const link = e.target.closest('.post-nav-link, .related-card');
+      if (link) {
+        e.preventDefault();
+        this.openModal(link.dataset.postId);
+      } else if (e.target.hasAttribute('data-close-modal') || e.target.closest('[data-close-modal]')) {
         this.closeModal();
       }
     });
 
+    // Back and forward open and close posts and restore the category
+    window.addEventListener('popstate', () => {
+      this.applyUrlState();
+    });
+
     // ESC key to close modal
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && this.modal?.classList.contains('active')) {
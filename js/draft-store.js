@@ -0,0 +1,66 @@
+/**
+ * Draft Store
+ * IndexedDB persistence for blog editor autosave drafts, one record per post
+ */
+
+class DraftStore {
+  constructor(dbName = 'blog-editor', storeName = 'drafts') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.version = 1;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = indexedDB.open(this.dbName, this.version);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: 'key' });
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  get(key) {
+    return this.run('readonly', store => store.get(key));
+  }
+
+  getAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  put(draft) {
+    return this.run('readwrite', store => store.put(draft));
+  }
+
+  delete(key) {
+    return this.run('readwrite', store => store.delete(key));
+  }
+}
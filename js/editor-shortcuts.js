@@ -0,0 +1,133 @@
+/**
+ * Editor Shortcuts
+ * Keyboard bindings for blog editor commands, with user overrides kept in localStorage
+ *
+ * Combos are strings like "Mod+Shift+N", where Mod is Cmd on macOS and Ctrl
+ * elsewhere. Punctuation keys are written as typed ("?"), without the Shift
+ * needed to produce them.
+ */
+
+class EditorShortcuts {
+  constructor(defaults, storageKey = 'blog-editor-shortcuts') {
+    this.defaults = defaults;
+    this.storageKey = storageKey;
+    this.isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+    this.bindings = this.load();
+  }
+
+  load() {
+    let overrides = {};
+    try {
+      overrides = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.error('Error loading shortcuts:', error);
+    }
+    return { ...this.defaults, ...overrides };
+  }
+
+  // Only differences from the defaults are stored, so new defaults still reach existing users
+  persist() {
+    const overrides = {};
+    Object.entries(this.bindings).forEach(([command, combo]) => {
+      if (combo !== this.defaults[command]) overrides[command] = combo;
+    });
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(overrides));
+    } catch (error) {
+      console.error('Error saving shortcuts:', error);
+    }
+  }
+
+  get(command) {
+    return this.bindings[command] || '';
+  }
+
+  /**
+   * Binds a combo to a command, unbinding any command that had it
+   * @returns {string|null} the command that lost the combo
+   */
+  set(command, combo) {
+    const previous = combo ? this.commandFor(combo) : null;
+    if (previous && previous !== command) {
+      this.bindings[previous] = '';
+    }
+
+    this.bindings[command] = combo;
+    this.persist();
+    return previous && previous !== command ? previous : null;
+  }
+
+  reset() {
+    this.bindings = { ...this.defaults };
+    this.persist();
+  }
+
+  commandFor(combo) {
+    return Object.keys(this.bindings).find(command => this.bindings[command] === combo) || null;
+  }
+
+  // Combo for a keydown event, or null while only modifiers are held
+  fromEvent(e) {
+    if (['Control', 'Meta', 'Shift', 'Alt'].includes(e.key)) return null;
+
+    // Physical letter and digit keys, so Alt and Shift don't change the name
+    const code = /^(Key|Digit)(.)$/.exec(e.code || '');
+    const key = code ? code[2] : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    const isSymbol = key.length === 1 && !/[A-Z0-9]/.test(key);
+
+    const parts = [];
+    if (this.isMac ? e.metaKey : e.ctrlKey) parts.push('Mod');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey && !isSymbol) parts.push('Shift');
+    parts.push(key === ' ' ? 'Space' : key);
+    return parts.join('+');
+  }
+
+  match(e) {
+    const combo = this.fromEvent(e);
+    return combo ? this.commandFor(combo) : null;
+  }
+
+  // Plain keys like "?" would fire while typing, so they only count outside text fields
+  static isPlainKey(combo) {
+    return !/^(Mod|Alt)\+/.test(combo);
+  }
+
+  // Display names for each key in a combo
+  keys(combo) {
+    if (!combo) return [];
+    const names = this.isMac
+      ? { Mod: '⌘', Alt: '⌥', Shift: '⇧' }
+      : { Mod: 'Ctrl', Alt: 'Alt', Shift: 'Shift' };
+    return combo.split('+').map(part => names[part] || part);
+  }
+
+  /**
+   * Subsequence match of query in text, favouring word starts and runs
+   * @returns {{score: number, indices: number[]}|null}
+   */
+  static fuzzyMatch(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    if (!needle) return { score: 0, indices: [] };
+
+    const indices = [];
+    let score = 0;
+    let position = 0;
+    for (const char of needle) {
+      const index = haystack.indexOf(char, position);
+      if (index === -1) return null;
+
+      const wordStart = index === 0 || /[^a-z0-9]/.test(haystack[index - 1]);
+      const consecutive = indices.length && index === indices[indices.length - 1] + 1;
+      score += 1 + (wordStart ? 3 : 0) + (consecutive ? 2 : 0) - Math.min(index - position, 3) * 0.25;
+
+      indices.push(index);
+      position = index + 1;
+    }
+
+    // Shorter labels win between otherwise equal matches
+    return { score: score - haystack.length * 0.01, indices };
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Image Processor
+ * Resizes and re-encodes image uploads in the browser before they are embedded
+ *
+ * Each upload becomes a few width variants for srcset, encoded as JPEG for
+ * every visitor plus the first modern format the editor's browser can write
+ * (AVIF, then WebP) for those whose browsers can show it. Drawing through a
+ * canvas drops all metadata, so EXIF GPS coordinates never reach the repository.
+ */
+
+class ImageProcessor {
+  constructor(options = {}) {
+    this.widths = (options.widths || [480, 960, 1600]).slice().sort((a, b) => a - b);
+    this.quality = options.quality || 0.82;
+    this.formats = options.formats || ['image/avif', 'image/webp'];
+    this.FALLBACK_TYPE = 'image/jpeg';
+    this.outputTypesPromise = null;
+  }
+
+  // SVGs and GIFs are passed through untouched: rasterizing would lose vectors or animation
+  canProcess(file) {
+    return typeof createImageBitmap === 'function' &&
+      /^image\/(jpeg|png|webp|avif|bmp)$/.test(file.type);
+  }
+
+  /**
+   * @param {File} file
+   * `type` and `size` describe the smallest encoding of the largest width;
+   * `src` is always the largest JPEG
+   * @returns {Promise<{src: string, type: string, width: number, height: number,
+   *   variants: Array<{src: string, width: number, type: string}>, originalSize: number, size: number}>}
+   */
+  async process(file) {
+    // Apply EXIF orientation now, since the re-encoded file won't carry it
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+
+    try {
+      const types = await this.getOutputTypes();
+      const widths = this.targetWidths(bitmap.width);
+      const variants = [];
+
+      for (const type of types) {
+        for (const width of widths) {
+          const height = Math.round(bitmap.height * (width / bitmap.width));
+          const blob = await this.encode(bitmap, width, height, type);
+          variants.push({ src: await this.toDataUrl(blob), width, height, type, size: blob.size });
+        }
+      }
+
+      const largestWidth = widths[widths.length - 1];
+      const largest = variants.filter(variant => variant.width === largestWidth);
+      const fallback = largest.find(variant => variant.type === this.FALLBACK_TYPE);
+      const smallest = largest.reduce((best, variant) => (variant.size < best.size ? variant : best));
+      return {
+        src: fallback.src,
+        type: smallest.type,
+        width: fallback.width,
+        height: fallback.height,
+        variants: variants.map(({ src, width, type }) => ({ src, width, type })),
+        originalSize: file.size,
+        size: smallest.size
+      };
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  // Configured widths below the original, capped by the largest configured width
+  targetWidths(naturalWidth) {
+    const largest = Math.min(naturalWidth, this.widths[this.widths.length - 1]);
+    return [...new Set([...this.widths.filter(width => width < largest), largest])];
+  }
+
+  async encode(bitmap, width, height, type) {
+    const canvas = this.createCanvas(width, height);
+    const context = canvas.getContext('2d');
+
+    // JPEG has no alpha channel; transparent areas would otherwise turn black
+    if (type === 'image/jpeg') {
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, width, height);
+    }
+
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+    return this.toBlob(canvas, type);
+  }
+
+  createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  toBlob(canvas, type) {
+    if (canvas.convertToBlob) {
+      return canvas.convertToBlob({ type, quality: this.quality });
+    }
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Could not encode image'));
+        }
+      }, type, this.quality);
+    });
+  }
+
+  // The first modern format the browser can write, then JPEG. Browsers quietly
+  // fall back to PNG for types they can't encode, so probe with a tiny canvas
+  getOutputTypes() {
+    if (!this.outputTypesPromise) {
+      this.outputTypesPromise = (async () => {
+        for (const type of this.formats) {
+          const blob = await this.toBlob(this.createCanvas(1, 1), type).catch(() => null);
+          if (blob && blob.type === type) return [type, this.FALLBACK_TYPE];
+        }
+        return [this.FALLBACK_TYPE];
+      })();
+    }
+    return this.outputTypesPromise;
+  }
+
+  toDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  static formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  static describeSavings(result) {
+    const format = result.type.split('/')[1].toUpperCase();
+    const saved = Math.round((1 - result.size / result.originalSize) * 100);
+    const change = saved > 0 ? `${saved}% smaller` : 'no size savings';
+    const count = new Set(result.variants.map(variant => variant.width)).size;
+    const sizes = count === 1 ? '1 size' : `${count} sizes`;
+    const fallback = result.variants.some(variant => variant.type !== result.type) ? ', JPEG fallback' : '';
+
+    return `${this.formatBytes(result.originalSize)} → ${this.formatBytes(result.size)} ${format} (${change}, ${sizes}${fallback})`;
+  }
+}
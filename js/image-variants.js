@@ -0,0 +1,111 @@
+/**
+ * Image Variants
+ * Responsive srcset and <picture> markup shared by the blog page and the editor preview
+ *
+ * Variants are { src, width, type } entries written when the editor processes
+ * an upload: each width in JPEG, plus the same widths in AVIF or WebP when the
+ * editor's browser can encode them. The largest JPEG doubles as the plain src,
+ * so browsers that can't decode the modern format still get a working file.
+ * Older variants have no type and are treated as the fallback.
+ *
+ * Post content can't hold a <picture> while it's edited in Quill, so images
+ * there carry the modern srcset in data-source-type/data-source-srcset and
+ * withPictures() turns them into <picture> elements when the post is shown.
+ */
+
+class ImageVariants {
+  static get CARD_SIZES() { return '(max-width: 768px) 100vw, 400px'; }
+  static get FEATURED_SIZES() { return '(max-width: 768px) 100vw, 600px'; }
+  static get CONTENT_SIZES() { return '(max-width: 800px) 100vw, 800px'; }
+  static get GALLERY_SIZES() { return '(max-width: 600px) 50vw, 260px'; }
+  static get FALLBACK_TYPE() { return 'image/jpeg'; }
+
+  static srcset(variants) {
+    return (variants || [])
+      .filter(variant => variant && variant.src && variant.width)
+      .sort((a, b) => a.width - b.width)
+      // Spaces separate descriptors in srcset, so they must be encoded in paths
+      .map(variant => `${variant.src.replace(/ /g, '%20')} ${variant.width}w`)
+      .join(', ');
+  }
+
+  static fallbacks(variants) {
+    return (variants || []).filter(variant => !variant.type || variant.type === this.FALLBACK_TYPE);
+  }
+
+  // Modern formats, one entry per type in the order they were written
+  static sources(variants) {
+    const byType = new Map();
+    (variants || []).forEach(variant => {
+      if (!variant.type || variant.type === this.FALLBACK_TYPE) return;
+      if (!byType.has(variant.type)) byType.set(variant.type, []);
+      byType.get(variant.type).push(variant);
+    });
+    return Array.from(byType, ([type, list]) => ({ type, srcset: this.srcset(list) }));
+  }
+
+  // Extra <img> attributes, empty when the image has a single size
+  static attributes(variants, sizes) {
+    const fallbacks = this.fallbacks(variants);
+    const srcset = this.srcset(fallbacks);
+    if (!srcset || fallbacks.length < 2) return '';
+    return ` srcset="${this.escapeAttribute(srcset)}" sizes="${sizes}"`;
+  }
+
+  /**
+   * An <img>, wrapped in a <picture> with typed sources when there are modern variants
+   * @param {string} extra - Further <img> attributes, already escaped
+   */
+  static picture(src, variants, sizes, extra = '') {
+    const img = `<img src="${src}"${this.attributes(variants, sizes)} ${extra}>`;
+    const sources = this.sources(variants);
+    if (!sources.length) return img;
+
+    return `<picture>${sources.map(source => `<source type="${source.type}" srcset="${this.escapeAttribute(source.srcset)}" sizes="${sizes}">`).join('')}${img}</picture>`;
+  }
+
+  /**
+   * Attributes for an image inside post content
+   * @returns {Object} srcset/sizes for the fallback and data-source-* for the modern format
+   */
+  static contentAttributes(variants, sizes) {
+    const attributes = {};
+    const fallbacks = this.fallbacks(variants);
+    if (fallbacks.length > 1) {
+      attributes.srcset = this.srcset(fallbacks);
+      attributes.sizes = sizes;
+    }
+
+    const [source] = this.sources(variants);
+    if (source) {
+      attributes['data-source-type'] = source.type;
+      attributes['data-source-srcset'] = source.srcset;
+      attributes.sizes = sizes;
+    }
+    return attributes;
+  }
+
+  // Parsed inertly and rewritten before it reaches the page, so the JPEG isn't fetched as well
+  static withPictures(html) {
+    if (!/data-source-srcset/.test(html || '')) return html;
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.querySelectorAll('img[data-source-srcset]').forEach(img => {
+      const picture = doc.createElement('picture');
+      const source = doc.createElement('source');
+      source.setAttribute('type', img.getAttribute('data-source-type') || '');
+      source.setAttribute('srcset', img.getAttribute('data-source-srcset'));
+      if (img.hasAttribute('sizes')) source.setAttribute('sizes', img.getAttribute('sizes'));
+
+      img.removeAttribute('data-source-type');
+      img.removeAttribute('data-source-srcset');
+      img.replaceWith(picture);
+      picture.append(source, img);
+    });
+    return doc.body.innerHTML;
+  }
+
+  static escapeAttribute(value) {
+    return value.replace(/"/g, '&quot;');
+  }
+}
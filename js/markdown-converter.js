@@ -0,0 +1,444 @@
+/**
+ * Markdown Converter
+ * Converts between Markdown and the HTML produced by the Quill editor
+ *
+ * The dialect is CommonMark-flavoured but line-oriented like Quill: every
+ * blockquote line and list item maps to one Quill line, nested lists use
+ * Quill's ql-indent-N classes, <u> and images with responsive variants are
+ * kept as inline HTML and videos are kept as a bare <iframe> line. Embed
+ * blocks (project cards, galleries, comparisons) stay as one line of HTML,
+ * callouts use GitHub's "> [!TIP]" alert syntax and fenced code keeps its
+ * language.
+ */
+
+class MarkdownConverter {
+  constructor() {
+    this.INDENT = '    ';
+    this.MAX_INDENT = 8;
+    this.EMBED_CLASSES = ['ql-project-card', 'ql-gallery', 'ql-image-compare'];
+    this.CALLOUT_TYPES = ['info', 'tip', 'warning'];
+    this.IMAGE_ATTRIBUTES = ['src', 'alt', 'srcset', 'sizes', 'data-source-type', 'data-source-srcset'];
+  }
+
+  // Markdown -> HTML
+
+  toHtml(markdown) {
+    const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // Blank line
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // Fenced code block
+      const fence = line.match(/^\s*(```|~~~)\s*([^\s`]*)/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        const language = fence[2] ? ` data-language="${this.escapeAttr(fence[2].toLowerCase())}"` : '';
+        blocks.push(`<pre class="ql-syntax" spellcheck="false"${language}>${this.escapeHtml(code.join('\n'))}</pre>`);
+        continue;
+      }
+
+      // Heading
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/);
+      if (heading) {
+        const level = heading[1].length;
+        blocks.push(`<h${level}>${this.inlineToHtml(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      // Embedded video
+      const video = this.matchVideo(line);
+      if (video) {
+        blocks.push(this.videoHtml(video));
+        i++;
+        continue;
+      }
+
+      // Embed block kept as raw HTML
+      if (this.isEmbedLine(line)) {
+        blocks.push(line.trim());
+        i++;
+        continue;
+      }
+
+      // Callout: a blockquote opened by "> [!TYPE]", one Quill line per ">" line
+      const callout = line.match(/^\s{0,3}>\s?\[!(\w+)\]\s*$/);
+      if (callout && this.CALLOUT_TYPES.includes(callout[1].toLowerCase())) {
+        const type = callout[1].toLowerCase();
+        i++;
+        while (i < lines.length && /^\s{0,3}>/.test(lines[i]) && !/^\s{0,3}>\s?\[!\w+\]\s*$/.test(lines[i])) {
+          const text = lines[i].replace(/^\s{0,3}>\s?/, '');
+          blocks.push(`<div class="ql-callout" data-callout="${type}">${text.trim() ? this.inlineToHtml(text) : '<br>'}</div>`);
+          i++;
+        }
+        continue;
+      }
+
+      // Blockquote (one Quill line per ">" line)
+      if (/^\s{0,3}>/.test(line)) {
+        while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+          const text = lines[i].replace(/^\s{0,3}>\s?/, '');
+          blocks.push(`<blockquote>${text.trim() ? this.inlineToHtml(text) : '<br>'}</blockquote>`);
+          i++;
+        }
+        continue;
+      }
+
+      // List
+      if (this.matchListItem(line)) {
+        const items = [];
+        while (i < lines.length && this.matchListItem(lines[i])) {
+          items.push(this.matchListItem(lines[i]));
+          i++;
+        }
+        blocks.push(this.listToHtml(items));
+        continue;
+      }
+
+      // Paragraph: soft-wrapped lines join, hard breaks start a new Quill line
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !this.startsBlock(lines[i])) {
+        const current = lines[i];
+        const hardBreak = /( {2,}|\\)$/.test(current);
+        paragraph.push(current.replace(/( {2,}|\\)$/, '').trim());
+        i++;
+        if (hardBreak) break;
+      }
+      const text = paragraph.join(' ');
+      blocks.push(text === '<br>' ? '<p><br></p>' : `<p>${this.inlineToHtml(text)}</p>`);
+    }
+
+    return blocks.join('');
+  }
+
+  startsBlock(line) {
+    return /^\s*(```|~~~)/.test(line) ||
+      /^\s{0,3}#{1,6}\s/.test(line) ||
+      /^\s{0,3}>/.test(line) ||
+      this.isEmbedLine(line) ||
+      Boolean(this.matchVideo(line)) ||
+      Boolean(this.matchListItem(line));
+  }
+
+  matchListItem(line) {
+    const match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (!match) return null;
+    return {
+      indent: match[1].replace(/\t/g, this.INDENT).length,
+      type: /\d/.test(match[2]) ? 'ordered' : 'bullet',
+      text: match[3]
+    };
+  }
+
+  listToHtml(items) {
+    // Translate leading whitespace into nesting levels
+    const stack = [];
+    items.forEach(item => {
+      while (stack.length && stack[stack.length - 1] > item.indent) {
+        stack.pop();
+      }
+      if (!stack.length || stack[stack.length - 1] < item.indent) {
+        stack.push(item.indent);
+      }
+      item.level = Math.min(stack.length - 1, this.MAX_INDENT);
+    });
+
+    // Quill keeps lists flat, one container per run of the same list type
+    let html = '';
+    let currentType = null;
+    items.forEach(item => {
+      if (item.type !== currentType) {
+        if (currentType) html += currentType === 'ordered' ? '</ol>' : '</ul>';
+        html += item.type === 'ordered' ? '<ol>' : '<ul>';
+        currentType = item.type;
+      }
+      const indentClass = item.level ? ` class="ql-indent-${item.level}"` : '';
+      html += `<li${indentClass}>${this.inlineToHtml(item.text)}</li>`;
+    });
+    html += currentType === 'ordered' ? '</ol>' : '</ul>';
+
+    return html;
+  }
+
+  isEmbedLine(line) {
+    const match = line.match(/^\s*<div\s+class=(["'])([\w-]+)/i);
+    return Boolean(match) && this.EMBED_CLASSES.includes(match[2]);
+  }
+
+  matchVideo(line) {
+    const match = line.match(/^\s*<iframe\b[^>]*\ssrc=(["'])(.*?)\1[^>]*>\s*(<\/iframe>)?\s*$/i);
+    return match ? match[2].replace(/&quot;/g, '"').replace(/&amp;/g, '&') : null;
+  }
+
+  videoHtml(src) {
+    return `<iframe class="ql-video" frameborder="0" allowfullscreen="true" src="${this.escapeAttr(src)}"></iframe>`;
+  }
+
+  inlineToHtml(text) {
+    const stash = [];
+    const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+    let html = text
+      // Backslash escapes
+      .replace(/\\([\\`*_{}[\]()#+\-.!~<>|])/g, (m, char) => keep(this.escapeHtml(char)))
+      // Code spans
+      .replace(/`([^`]+)`/g, (m, code) => keep(`<code>${this.escapeHtml(code)}</code>`))
+      // Images written as HTML
+      .replace(/<img\s[^>]*>/gi, (tag) => {
+        const img = new DOMParser().parseFromString(tag, 'text/html').querySelector('img');
+        return keep(img ? this.imageHtml(img) : this.escapeHtml(tag));
+      })
+      // Images
+      .replace(/!\[([^\]]*)\]\(\s*(?:<([^>\n]*)>|([^)\s>]+))(?:\s+"[^"]*")?\s*\)/g, (m, alt, bracketed, bare) =>
+        keep(`<img src="${this.escapeAttr(bracketed ?? bare)}"${alt ? ` alt="${this.escapeAttr(alt)}"` : ''}>`))
+      // Links
+      .replace(/\[([^\]]+)\]\(\s*(?:<([^>\n]*)>|([^)\s>]+))(?:\s+"[^"]*")?\s*\)/g, (m, label, bracketed, bare) =>
+        keep(`<a href="${this.escapeAttr(bracketed ?? bare)}">${this.inlineToHtml(label)}</a>`));
+
+    html = this.escapeHtml(html)
+      .replace(/&lt;u&gt;(.+?)&lt;\/u&gt;/g, '<u>$1</u>')
+      .replace(/\*\*\*(?=\S)(.+?)\*\*\*/g, '<strong><em>$1</em></strong>')
+      .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)(.+?)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/~~(?=\S)(.+?)~~/g, '<s>$1</s>')
+      .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>');
+
+    // Restore stashed fragments (they may themselves contain placeholders)
+    while (/\u0000\d+\u0000/.test(html)) {
+      html = html.replace(/\u0000(\d+)\u0000/g, (m, index) => stash[index]);
+    }
+
+    return html;
+  }
+
+  // HTML -> Markdown
+
+  fromHtml(html) {
+    const doc = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html');
+    const blocks = [];
+    let previous = null;
+
+    Array.from(doc.body.childNodes).forEach(node => {
+      const block = this.blockToMarkdown(node);
+      if (block === null) return;
+
+      // Consecutive blockquote lines stay together, as do callout lines of one type
+      const tag = this.isCallout(node) ? `CALLOUT:${this.calloutType(node)}` : node.nodeName;
+      if ((tag === 'BLOCKQUOTE' || tag.startsWith('CALLOUT:')) && previous === tag) {
+        blocks[blocks.length - 1] += `\n${block}`;
+      } else if (tag.startsWith('CALLOUT:')) {
+        blocks.push(`> [!${this.calloutType(node).toUpperCase()}]\n${block}`);
+      } else {
+        blocks.push(block);
+      }
+      previous = tag;
+    });
+
+    // Quill always ends with an empty line, which carries no content
+    while (blocks.length && blocks[blocks.length - 1] === '<br>') {
+      blocks.pop();
+    }
+
+    return blocks.length ? `${blocks.join('\n\n')}\n` : '';
+  }
+
+  blockToMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = node.textContent.trim();
+      return text ? this.escapeBlockStart(this.escapeMarkdown(text)) : null;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+    const tag = node.nodeName;
+
+    if (/^H[1-6]$/.test(tag)) {
+      return `${'#'.repeat(Number(tag[1]))} ${this.inlineToMarkdown(node).trim()}`;
+    }
+
+    if (this.EMBED_CLASSES.some(name => node.classList.contains(name))) {
+      return node.outerHTML.replace(/\s*\n\s*/g, '');
+    }
+
+    if (this.isCallout(node)) {
+      const text = this.inlineToMarkdown(node).trim();
+      return text ? `> ${text}` : '>';
+    }
+
+    switch (tag) {
+      case 'P':
+      case 'DIV': {
+        if (tag === 'DIV' && node.querySelector('p, h1, h2, h3, h4, h5, h6, ul, ol, pre, blockquote, iframe')) {
+          return Array.from(node.childNodes)
+            .map(child => this.blockToMarkdown(child))
+            .filter(block => block !== null)
+            .join('\n\n');
+        }
+        if (!node.textContent.trim() && !node.querySelector('img')) return '<br>';
+        return this.escapeBlockStart(this.inlineToMarkdown(node).trim());
+      }
+      case 'BLOCKQUOTE': {
+        const text = this.inlineToMarkdown(node).trim();
+        return text ? `> ${text}` : '>';
+      }
+      case 'PRE':
+        return `\`\`\`${node.getAttribute('data-language') || ''}\n${node.textContent.replace(/\n$/, '')}\n\`\`\``;
+      case 'UL':
+      case 'OL':
+        return this.listToMarkdown(node, 0).join('\n');
+      case 'IFRAME':
+        return this.videoHtml(node.getAttribute('src') || '');
+      case 'IMG':
+        return this.inlineToMarkdown({ childNodes: [node] });
+      default: {
+        const text = this.inlineToMarkdown(node).trim();
+        return text ? this.escapeBlockStart(text) : null;
+      }
+    }
+  }
+
+  isCallout(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.classList.contains('ql-callout');
+  }
+
+  calloutType(node) {
+    const type = node.getAttribute('data-callout');
+    return this.CALLOUT_TYPES.includes(type) ? type : this.CALLOUT_TYPES[0];
+  }
+
+  listToMarkdown(list, baseLevel) {
+    const lines = [];
+    const counters = [];
+    const ordered = list.nodeName === 'OL';
+
+    Array.from(list.children).forEach(item => {
+      if (item.nodeName !== 'LI') return;
+
+      const indentMatch = (item.className || '').match(/ql-indent-(\d+)/);
+      const level = baseLevel + (indentMatch ? Number(indentMatch[1]) : 0);
+
+      // Reset numbering for deeper levels when we step back out
+      counters.length = level + 1;
+      counters[level] = (counters[level] || 0) + 1;
+
+      const marker = ordered ? `${counters[level]}.` : '-';
+      const inline = Array.from(item.childNodes).filter(child => !['UL', 'OL'].includes(child.nodeName));
+      const text = this.inlineToMarkdown({ childNodes: inline }).trim();
+      lines.push(`${this.INDENT.repeat(level)}${marker} ${text}`);
+
+      // Nested lists from non-Quill HTML
+      Array.from(item.children)
+        .filter(child => ['UL', 'OL'].includes(child.nodeName))
+        .forEach(child => lines.push(...this.listToMarkdown(child, level + 1)));
+    });
+
+    return lines;
+  }
+
+  inlineToMarkdown(node) {
+    return Array.from(node.childNodes).map((child, index, siblings) => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        return this.escapeMarkdown(child.textContent.replace(/\s+/g, ' '));
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) return '';
+
+      const inner = () => this.inlineToMarkdown(child);
+
+      switch (child.nodeName) {
+        case 'STRONG':
+        case 'B':
+          return this.wrapInline(inner(), '**');
+        case 'EM':
+        case 'I': {
+          // _ can't open or close inside a word, so emphasis within one uses *
+          const before = siblings[index - 1] ? siblings[index - 1].textContent.slice(-1) : '';
+          const after = siblings[index + 1] ? siblings[index + 1].textContent.charAt(0) : '';
+          return this.wrapInline(inner(), /\w/.test(before + after) ? '*' : '_');
+        }
+        case 'S':
+        case 'STRIKE':
+        case 'DEL':
+          return this.wrapInline(inner(), '~~');
+        case 'U':
+          return this.wrapInline(inner(), '<u>', '</u>');
+        case 'CODE':
+          return `\`${child.textContent}\``;
+        case 'A': {
+          const label = inner().trim();
+          const href = child.getAttribute('href') || '';
+          return label ? `[${label}](${this.destination(href)})` : '';
+        }
+        case 'IMG': {
+          // Markdown has no syntax for srcset, so responsive images stay as HTML
+          if (child.hasAttribute('srcset') || child.hasAttribute('data-source-srcset')) {
+            return this.imageHtml(child);
+          }
+          const alt = this.escapeMarkdown(child.getAttribute('alt') || '');
+          return `![${alt}](${this.destination(child.getAttribute('src') || '')})`;
+        }
+        case 'BR':
+          return '\\\n';
+        default:
+          return inner();
+      }
+    }).join('');
+  }
+
+  // A bare URL ends at the first ")", so URLs with parentheses go in angle brackets
+  destination(url) {
+    const encoded = url.replace(/ /g, '%20').replace(/</g, '%3C').replace(/>/g, '%3E');
+    return /[()]/.test(encoded) ? `<${encoded}>` : encoded;
+  }
+
+  // Rebuilt from the image attributes alone, so nothing else typed into the tag survives
+  imageHtml(img) {
+    const attributes = this.IMAGE_ATTRIBUTES
+      .filter(name => img.hasAttribute(name))
+      .map(name => ` ${name}="${this.escapeAttr(img.getAttribute(name))}"`)
+      .join('');
+    return `<img${attributes}>`;
+  }
+
+  wrapInline(text, open, close = open) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return text;
+    return `${match[1]}${open}${match[2]}${close}${match[3]}`;
+  }
+
+  escapeMarkdown(text) {
+    return text
+      .replace(/([\\`*_[\]~])/g, '\\$1')
+      .replace(/<(?=[a-zA-Z/])/g, '\\<');
+  }
+
+  escapeBlockStart(text) {
+    return text
+      .replace(/^(#{1,6}\s|>|[-+]\s)/, '\\$1')
+      .replace(/^(\d+)([.)]\s)/, '$1\\$2');
+  }
+
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  escapeAttr(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+}
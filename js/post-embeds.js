@@ -0,0 +1,245 @@
+/**
+ * Post Embeds
+ * Turns the embed blocks saved by the editor into interactive components
+ *
+ * Shared by the blog page and the editor preview. Callouts and code blocks are
+ * regrouped, galleries open in a lightbox, comparisons get a slider and project
+ * cards are filled in from data/projects.json.
+ */
+
+class PostEmbeds {
+  static get CALLOUT_ICONS() {
+    return { info: 'fa-info-circle', tip: 'fa-lightbulb', warning: 'fa-exclamation-triangle' };
+  }
+
+  static hydrate(container) {
+    if (!container) return Promise.resolve();
+
+    this.hydrateCallouts(container);
+    this.hydrateCodeBlocks(container);
+    this.hydrateGalleries(container);
+    this.hydrateComparisons(container);
+    return this.hydrateProjectCards(container);
+  }
+
+  // Each callout line is its own element; adjacent lines of one type share a box
+  static hydrateCallouts(container) {
+    container.querySelectorAll('.ql-callout').forEach(line => {
+      if (!line.isConnected || !line.parentNode) return;
+
+      const type = line.getAttribute('data-callout') || 'info';
+      const box = document.createElement('aside');
+      box.className = `post-callout post-callout-${type}`;
+      box.setAttribute('role', 'note');
+      box.innerHTML = `<i class="fas ${this.CALLOUT_ICONS[type] || this.CALLOUT_ICONS.info}" aria-hidden="true"></i><div class="post-callout-body"></div>`;
+      line.parentNode.insertBefore(box, line);
+
+      const body = box.querySelector('.post-callout-body');
+      let current = line;
+      while (current && current.classList && current.classList.contains('ql-callout') &&
+        (current.getAttribute('data-callout') || 'info') === type) {
+        const next = current.nextElementSibling;
+        const paragraph = document.createElement('p');
+        paragraph.innerHTML = current.innerHTML;
+        body.appendChild(paragraph);
+        current.remove();
+        current = next;
+      }
+    });
+  }
+
+  static hydrateCodeBlocks(container) {
+    container.querySelectorAll('pre.ql-syntax').forEach(pre => {
+      if (pre.parentNode.classList.contains('post-code')) return;
+
+      const wrapper = document.createElement('div');
+      wrapper.className = 'post-code';
+      const language = pre.getAttribute('data-language');
+      wrapper.innerHTML = `
+        <div class="post-code-header">
+          <span class="post-code-language">${language ? this.escapeHtml(language) : 'Code'}</span>
+          <button type="button" class="post-code-copy"><i class="fas fa-copy"></i> Copy</button>
+        </div>
+      `;
+      pre.parentNode.insertBefore(wrapper, pre);
+      wrapper.appendChild(pre);
+
+      const button = wrapper.querySelector('.post-code-copy');
+      button.addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(pre.textContent);
+          button.innerHTML = '<i class="fas fa-check"></i> Copied';
+        } catch (error) {
+          button.textContent = 'Press Ctrl+C to copy';
+          window.getSelection().selectAllChildren(pre);
+        }
+        setTimeout(() => {
+          button.innerHTML = '<i class="fas fa-copy"></i> Copy';
+        }, 2000);
+      });
+    });
+  }
+
+  static hydrateGalleries(container) {
+    container.querySelectorAll('.ql-gallery').forEach(gallery => {
+      const figures = Array.from(gallery.querySelectorAll('figure'));
+      gallery.classList.add('is-interactive');
+
+      figures.forEach((figure, index) => {
+        figure.setAttribute('tabindex', '0');
+        figure.setAttribute('role', 'button');
+        figure.setAttribute('aria-label', `Open image ${index + 1} of ${figures.length}`);
+        figure.addEventListener('click', () => this.openLightbox(figures, index));
+        figure.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.openLightbox(figures, index);
+          }
+        });
+      });
+    });
+  }
+
+  static openLightbox(figures, startIndex) {
+    const images = figures.map(figure => {
+      const img = figure.querySelector('img');
+      const caption = figure.querySelector('figcaption');
+      return {
+        src: img.currentSrc || img.getAttribute('src'),
+        alt: img.getAttribute('alt') || '',
+        caption: caption ? caption.textContent : ''
+      };
+    });
+    let index = startIndex;
+    const returnFocus = document.activeElement;
+
+    const lightbox = document.createElement('div');
+    lightbox.className = 'post-lightbox';
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-modal', 'true');
+    lightbox.innerHTML = `
+      <button type="button" class="post-lightbox-close" aria-label="Close"><i class="fas fa-times"></i></button>
+      <button type="button" class="post-lightbox-prev" aria-label="Previous image"><i class="fas fa-chevron-left"></i></button>
+      <figure>
+        <img src="" alt="">
+        <figcaption></figcaption>
+      </figure>
+      <button type="button" class="post-lightbox-next" aria-label="Next image"><i class="fas fa-chevron-right"></i></button>
+    `;
+
+    const show = (next) => {
+      index = (next + images.length) % images.length;
+      const image = images[index];
+      lightbox.querySelector('img').src = image.src;
+      lightbox.querySelector('img').alt = image.alt;
+      lightbox.querySelector('figcaption').textContent = image.caption
+        ? `${image.caption} (${index + 1}/${images.length})`
+        : `${index + 1}/${images.length}`;
+    };
+
+    // Captured on window so Escape closes the lightbox before the post modal sees it
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') close();
+      else if (e.key === 'ArrowLeft') show(index - 1);
+      else if (e.key === 'ArrowRight') show(index + 1);
+      else return;
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    const close = () => {
+      window.removeEventListener('keydown', onKeydown, true);
+      lightbox.remove();
+      if (returnFocus) returnFocus.focus();
+    };
+
+    lightbox.addEventListener('click', (e) => {
+      if (e.target.closest('.post-lightbox-close') || e.target === lightbox) close();
+      else if (e.target.closest('.post-lightbox-prev')) show(index - 1);
+      else if (e.target.closest('.post-lightbox-next')) show(index + 1);
+    });
+    window.addEventListener('keydown', onKeydown, true);
+
+    const single = images.length < 2;
+    lightbox.querySelector('.post-lightbox-prev').hidden = single;
+    lightbox.querySelector('.post-lightbox-next').hidden = single;
+
+    document.body.appendChild(lightbox);
+    show(index);
+    lightbox.querySelector('.post-lightbox-close').focus();
+  }
+
+  static hydrateComparisons(container) {
+    container.querySelectorAll('.ql-image-compare').forEach(compare => {
+      if (compare.classList.contains('is-interactive') || compare.querySelectorAll('figure').length < 2) return;
+
+      compare.classList.add('is-interactive');
+      compare.style.setProperty('--position', '50%');
+
+      const range = document.createElement('input');
+      range.type = 'range';
+      range.min = '0';
+      range.max = '100';
+      range.value = '50';
+      range.className = 'post-compare-range';
+      range.setAttribute('aria-label', 'Drag to compare before and after');
+
+      const handle = document.createElement('span');
+      handle.className = 'post-compare-handle';
+      handle.setAttribute('aria-hidden', 'true');
+
+      range.addEventListener('input', () => {
+        compare.style.setProperty('--position', `${range.value}%`);
+      });
+
+      compare.append(handle, range);
+    });
+  }
+
+  static async hydrateProjectCards(container) {
+    const cards = Array.from(container.querySelectorAll('.ql-project-card'));
+    if (!cards.length) return;
+
+    const projects = await this.loadProjects();
+    cards.forEach(card => {
+      const project = projects.find(p => p.id === card.getAttribute('data-project-id'));
+      if (!project) return;
+
+      const tags = (project.tags || []).slice(0, 3);
+      card.classList.add('is-interactive');
+      card.innerHTML = `
+        <a class="post-project-card" href="projects.html#${encodeURIComponent(project.id)}">
+          ${project.thumbnail ? `<img src="${this.escapeHtml(project.thumbnail)}" alt="${this.escapeHtml(project.title)}" loading="lazy">` : ''}
+          <span class="post-project-body">
+            <span class="post-project-label">Project</span>
+            <strong class="post-project-title">${this.escapeHtml(project.title)}</strong>
+            <span class="post-project-description">${this.escapeHtml(project.description || '')}</span>
+            ${tags.length ? `<span class="post-project-tags">${tags.map(tag => `<span>${this.escapeHtml(tag)}</span>`).join('')}</span>` : ''}
+          </span>
+        </a>
+      `;
+    });
+  }
+
+  static loadProjects() {
+    if (!this.projectsPromise) {
+      this.projectsPromise = fetch('data/projects.json')
+        .then(response => response.json())
+        .then(data => data.projects || [])
+        .catch(error => {
+          console.error('Error loading projects for embeds:', error);
+          this.projectsPromise = null;
+          return [];
+        });
+    }
+    return this.projectsPromise;
+  }
+
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
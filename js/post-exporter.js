@@ -0,0 +1,368 @@
+/**
+ * Post Exporter
+ * Writes posts out as Markdown with YAML front matter, standalone HTML pages
+ * styled like the blog, or clean HTML for pasting into newsletters
+ *
+ * Markdown bundles carry their images in images/<slug>/ next to the posts, the
+ * layout PostImporter reads back. Standalone pages inline everything they need
+ * except fonts and icons, so they open anywhere as single files.
+ */
+
+class PostExporter {
+  constructor(markdown) {
+    this.markdown = markdown;
+    this.STYLESHEETS = ['css/blogs.css', 'css/post-embeds.css'];
+    this.EMBED_SCRIPT = 'js/post-embeds.js';
+    this.CALLOUT_LABELS = { info: 'Note', tip: 'Tip', warning: 'Warning' };
+    // Uploads not yet committed, and files the site serves from images/
+    this.IMAGE_PATTERN = /data:image\/[a-z0-9.+-]+;base64,[a-z0-9+/=]+|(?<![\w/.:-])images\/[^\s"'()<>,]+/gi;
+  }
+
+  // Markdown
+
+  /**
+   * @returns {Promise<{blob: Blob, missing: string[]}>}
+   */
+  async toMarkdownZip(posts, categories) {
+    const files = [];
+    const missing = [];
+
+    for (const post of posts) {
+      const slug = PostSlugs.slugOf(post);
+      const images = new Map();
+      const bundle = async (ref) => {
+        if (!images.has(ref)) images.set(ref, await this.bundleImage(ref, slug, images.size, files, missing));
+        return images.get(ref);
+      };
+
+      let body = this.encodeImagePaths(post.contentMarkdown || this.markdown.fromHtml(post.content));
+      body = await this.replaceAsync(body, this.IMAGE_PATTERN, bundle);
+      // The featured image is a path on its own, so it's bundled whole rather than matched
+      const image = /^(data:image\/|images\/)/i.test(post.image || '')
+        ? await bundle(post.image.replace(/ /g, '%20'))
+        : post.image || '';
+
+      files.push({ name: `${slug}.md`, data: `${this.frontMatter(post, categories, image)}\n${body.trim()}\n` });
+    }
+
+    // Posts first, then their images, so the archive lists readably
+    files.sort((a, b) => Number(a.name.startsWith('images/')) - Number(b.name.startsWith('images/')));
+    return { blob: await ZipArchive.write(files), missing };
+  }
+
+  // Markdown images already encode spaces; src attributes in inline HTML and embeds may not
+  encodeImagePaths(text) {
+    return text.replace(/(\ssrc=)(["'])(images\/[^"'<>]*)\2/gi, (m, attribute, quote, path) =>
+      `${attribute}${quote}${path.replace(/ /g, '%20')}${quote}`);
+  }
+
+  frontMatter(post, categories, image) {
+    const fields = {
+      title: post.title,
+      slug: PostSlugs.slugOf(post),
+      date: post.date,
+      author: post.author,
+      category: BlogCategories.nameFor(categories, post.category),
+      tags: post.tags || [],
+      excerpt: post.excerpt,
+      image,
+      featured: Boolean(post.featured),
+      status: post.status || 'published',
+      publishAt: post.status === 'scheduled' ? post.publishAt : ''
+    };
+
+    const lines = Object.entries(fields)
+      .filter(([, value]) => value !== '' && value !== undefined && value !== null)
+      .map(([key, value]) => {
+        if (Array.isArray(value)) {
+          return value.length ? `${key}:\n${value.map(item => `  - ${JSON.stringify(String(item))}`).join('\n')}` : `${key}: []`;
+        }
+        // Double-quoted JSON strings are valid YAML and survive colons, quotes and newlines
+        return `${key}: ${typeof value === 'boolean' ? value : JSON.stringify(String(value))}`;
+      });
+    return `---\n${lines.join('\n')}\n---\n`;
+  }
+
+  // Adds an image to the bundle and returns the path to reference it by
+  async bundleImage(ref, slug, count, files, missing) {
+    const blob = await this.fetchImage(ref);
+    if (!blob) {
+      missing.push(ref.startsWith('data:') ? `an unsaved image in ${slug}` : ref.replace(/%20/g, ' '));
+      return ref;
+    }
+
+    const extension = (blob.type.split('/')[1] || 'bin').replace('jpeg', 'jpg').replace('svg+xml', 'svg');
+    const base = ref.startsWith('data:')
+      ? `image-${count + 1}.${extension}`
+      : decodeURIComponent(ref.split('/').pop());
+    let name = `images/${slug}/${base}`;
+    if (files.some(file => file.name === name)) {
+      name = `images/${slug}/${count + 1}-${base}`;
+    }
+
+    files.push({ name, data: blob });
+    return name.replace(/ /g, '%20');
+  }
+
+  // Standalone HTML
+
+  /**
+   * One page per post; a single post comes back as its page, several as a zip with an index
+   * @returns {Promise<{blob: Blob, missing: string[]}>}
+   */
+  async toStandaloneHtml(posts, categories) {
+    const assets = await this.loadPageAssets();
+    const missing = [];
+    const pages = [];
+
+    for (const post of posts) {
+      pages.push({
+        name: `${PostSlugs.slugOf(post)}.html`,
+        data: await this.pageHtml(post, categories, assets, missing)
+      });
+    }
+
+    if (pages.length === 1) {
+      return { blob: new Blob([pages[0].data], { type: 'text/html' }), missing };
+    }
+
+    pages.unshift({ name: 'index.html', data: this.indexHtml(posts, categories, assets) });
+    return { blob: await ZipArchive.write(pages), missing };
+  }
+
+  async loadPageAssets() {
+    const load = async (path) => {
+      const response = await fetch(path);
+      if (!response.ok) throw new Error(`Could not load ${path}`);
+      return response.text();
+    };
+
+    const [styles, script] = await Promise.all([
+      Promise.all(this.STYLESHEETS.map(load)).then(sheets => sheets.join('\n')),
+      load(this.EMBED_SCRIPT)
+    ]);
+    return { styles, script };
+  }
+
+  async pageHtml(post, categories, assets, missing) {
+    const doc = new DOMParser().parseFromString(`<body>${post.content || ''}</body>`, 'text/html');
+    // The largest variant is already the src, and one size keeps the page small
+    doc.querySelectorAll('img').forEach(img => {
+      img.removeAttribute('srcset');
+      img.removeAttribute('sizes');
+      img.removeAttribute('data-source-type');
+      img.removeAttribute('data-source-srcset');
+    });
+    await Promise.all(Array.from(doc.querySelectorAll('img[src]'), async img => {
+      img.setAttribute('src', await this.inlineImage(img.getAttribute('src'), missing));
+    }));
+
+    const image = post.image ? await this.inlineImage(post.image, missing) : '';
+    const escape = (text) => PostSearch.escapeHtml(text || '');
+
+    return this.pageShell(post.title, post.excerpt, assets, `
+      <article class="modal-body">
+        ${image ? `<img src="${escape(image)}" alt="${escape(post.title)}" class="post-image">` : ''}
+        <div class="post-meta">
+          <span class="post-category">${escape(BlogCategories.nameFor(categories, post.category))}</span>
+          <span class="post-date">${this.formatDate(post.date)}</span>
+          <span class="post-author">By ${escape(post.author)}</span>
+          <span class="post-read-time">${ReadingStats.readTimeFor(post)}</span>
+        </div>
+        <h1 class="post-title">${escape(post.title)}</h1>
+        <div class="post-content">${doc.body.innerHTML}</div>
+        <div class="post-tags">
+          ${(post.tags || []).map(tag => `<span class="tag">${escape(tag)}</span>`).join('')}
+        </div>
+      </article>
+    `);
+  }
+
+  indexHtml(posts, categories, assets) {
+    const escape = (text) => PostSearch.escapeHtml(text || '');
+
+    return this.pageShell('Blog archive', '', assets, `
+      <div class="modal-body">
+        <h1 class="post-title">Blog archive</h1>
+        <ul class="standalone-index">
+          ${posts.map(post => `
+            <li>
+              <a href="${escape(encodeURIComponent(PostSlugs.slugOf(post)))}.html">${escape(post.title)}</a>
+              <div class="post-meta">
+                <span class="post-category">${escape(BlogCategories.nameFor(categories, post.category))}</span>
+                <span class="post-date">${this.formatDate(post.date)}</span>
+              </div>
+              <p>${escape(post.excerpt)}</p>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `);
+  }
+
+  pageShell(title, description, assets, body) {
+    const escape = (text) => PostSearch.escapeHtml(text || '');
+    // A closing tag inside the inlined script would end it early
+    const script = assets.script.replace(/<\/script/gi, '<\\/script');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escape(title)}</title>
+  ${description ? `<meta name="description" content="${escape(description)}">` : ''}
+  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800;900&display=swap" rel="stylesheet">
+  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+  <style>
+    *, *::before, *::after { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: 'Inter', sans-serif; line-height: 1.6; color: #fff; background: #07070f; padding: 2rem 1rem; }
+    a { color: #a5b4fc; }
+    .standalone-post { max-width: 800px; margin: 0 auto; background: #0d0d1a; border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 1.5rem; overflow: hidden; }
+    .standalone-index { list-style: none; display: flex; flex-direction: column; gap: 1.5rem; }
+    .standalone-index a { font-size: 1.25rem; font-weight: 600; color: #fff; text-decoration: none; }
+    .standalone-index .post-meta { margin: 0.25rem 0 0.5rem; }
+    .standalone-index p { color: rgba(255, 255, 255, 0.7); }
+${assets.styles}
+  </style>
+</head>
+<body>
+  <main class="standalone-post">
+${body}
+  </main>
+  <script>
+${script}
+PostEmbeds.hydrate(document.querySelector('.post-content'));
+  </script>
+</body>
+</html>
+`;
+  }
+
+  async inlineImage(src, missing) {
+    if (!src || src.startsWith('data:') || /^[a-z]+:\/\//i.test(src)) return src;
+
+    const blob = await this.fetchImage(src);
+    if (!blob) {
+      missing.push(src);
+      return src;
+    }
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Clean HTML
+
+  /**
+   * Markup without editor classes, scripts or iframes, with absolute links,
+   * for pasting into newsletter tools
+   * @returns {string}
+   */
+  toCleanHtml(post, baseUrl) {
+    const doc = new DOMParser().parseFromString(`<body>${post.content || ''}</body>`, 'text/html');
+    const absolute = (url) => {
+      try {
+        return new URL(url, baseUrl).href;
+      } catch (error) {
+        return url;
+      }
+    };
+
+    this.cleanCallouts(doc);
+    doc.querySelectorAll('pre.ql-syntax').forEach(pre => {
+      const code = doc.createElement('code');
+      code.textContent = pre.textContent;
+      pre.replaceChildren(code);
+    });
+    doc.querySelectorAll('.ql-project-card').forEach(card => {
+      const link = card.querySelector('a');
+      const paragraph = doc.createElement('p');
+      if (link) paragraph.appendChild(link);
+      card.replaceWith(paragraph);
+    });
+    // Galleries and comparisons read fine as their figures one after another
+    doc.querySelectorAll('.ql-gallery, .ql-image-compare').forEach(group => {
+      group.replaceWith(...group.querySelectorAll('figure'));
+    });
+    // Email clients don't play embedded video, so link to it instead
+    doc.querySelectorAll('iframe').forEach(frame => {
+      const paragraph = doc.createElement('p');
+      paragraph.innerHTML = `<a href="${PostSearch.escapeHtml(frame.getAttribute('src') || '')}">Watch the video</a>`;
+      frame.replaceWith(paragraph);
+    });
+
+    doc.body.querySelectorAll('*').forEach(node => {
+      Array.from(node.attributes).forEach(attribute => {
+        if (!['href', 'src', 'alt', 'title'].includes(attribute.name)) node.removeAttribute(attribute.name);
+      });
+      if (node.hasAttribute('href')) node.setAttribute('href', absolute(node.getAttribute('href')));
+      if (node.nodeName === 'IMG') {
+        node.setAttribute('src', absolute(node.getAttribute('src') || ''));
+        node.setAttribute('style', 'max-width: 100%; height: auto;');
+      }
+    });
+
+    const escape = (text) => PostSearch.escapeHtml(text || '');
+    const link = absolute(`blogs.html?post=${encodeURIComponent(PostSlugs.slugOf(post))}`);
+    return [
+      `<h1>${escape(post.title)}</h1>`,
+      post.image ? `<p><img src="${escape(absolute(post.image))}" alt="${escape(post.title)}" style="max-width: 100%; height: auto;"></p>` : '',
+      doc.body.innerHTML,
+      `<p><a href="${escape(link)}">Read it on the blog</a></p>`
+    ].filter(Boolean).join('\n');
+  }
+
+  // Consecutive callout lines of one type become one labelled blockquote
+  cleanCallouts(doc) {
+    doc.querySelectorAll('.ql-callout').forEach(line => {
+      if (!line.parentNode) return;
+
+      const type = line.getAttribute('data-callout') || 'info';
+      const quote = doc.createElement('blockquote');
+      quote.innerHTML = `<p><strong>${this.CALLOUT_LABELS[type] || this.CALLOUT_LABELS.info}</strong></p>`;
+      line.before(quote);
+
+      let current = line;
+      while (current && current.classList && current.classList.contains('ql-callout') &&
+        (current.getAttribute('data-callout') || 'info') === type) {
+        const next = current.nextElementSibling;
+        const paragraph = doc.createElement('p');
+        paragraph.innerHTML = current.innerHTML;
+        quote.appendChild(paragraph);
+        current.remove();
+        current = next;
+      }
+    });
+  }
+
+  // Shared
+
+  async fetchImage(ref) {
+    try {
+      const response = await fetch(ref);
+      if (!response.ok) return null;
+      return await response.blob();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // One match at a time, so a repeated image is only fetched and bundled once
+  async replaceAsync(text, pattern, replacer) {
+    const replacements = [];
+    for (const match of text.matchAll(pattern)) {
+      replacements.push(await replacer(match[0]));
+    }
+    let i = 0;
+    return text.replace(pattern, () => replacements[i++]);
+  }
+
+  formatDate(dateString) {
+    const options = { month: 'short', day: 'numeric', year: 'numeric' };
+    return new Date(dateString).toLocaleDateString('en-US', options);
+  }
+}
@@ -0,0 +1,554 @@
+/**
+ * Post Importer
+ * Reads Markdown with YAML front matter, WordPress WXR exports, Medium HTML
+ * exports and blogs.json files into posts shaped like ours
+ *
+ * Zip files are unpacked and every file inside is read by its extension,
+ * except the index and post files the editor generates from blogs.json.
+ * Images next to Markdown files are inlined as data URLs, so the GitHub commit
+ * moves them into images/blog/<slug>/ like any other upload.
+ */
+
+class PostImporter {
+  constructor(markdown) {
+    this.markdown = markdown;
+    this.DEFAULT_AUTHOR = 'Gary';
+    this.DEFAULT_CATEGORY = 'Uncategorized';
+    this.EXCERPT_LENGTH = 200;
+    this.ALLOWED_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote',
+      'strong', 'b', 'em', 'i', 'u', 's', 'strike', 'del', 'a', 'img', 'br', 'code', 'sub', 'sup'];
+    this.DROPPED_TAGS = ['script', 'style', 'noscript', 'template', 'form', 'input', 'button',
+      'select', 'textarea', 'svg', 'object', 'embed', 'hr', 'head', 'title', 'meta', 'link'];
+    this.WP_STATUSES = { publish: 'published', future: 'scheduled', draft: 'draft', pending: 'draft', private: 'draft' };
+  }
+
+  /**
+   * @returns {Promise<{posts: Array<{post: Object, source: string}>, categories: Array, revisions: Object|null, errors: string[]}>}
+   */
+  async readFiles(files) {
+    const result = { posts: [], categories: [], revisions: null, errors: [] };
+
+    for (const file of files) {
+      try {
+        if (/\.zip$/i.test(file.name)) {
+          const entries = await ZipArchive.read(file);
+          const assets = new Map(entries.map(entry => [entry.name, entry]));
+          for (const entry of entries) {
+            try {
+              await this.readEntry(entry.name, () => entry.text(), result, assets);
+            } catch (error) {
+              result.errors.push(`${file.name} › ${entry.name}: ${error.message}`);
+            }
+          }
+        } else {
+          await this.readEntry(file.name, () => file.text(), result, null);
+        }
+      } catch (error) {
+        result.errors.push(`${file.name}: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  // Files inside a zip that aren't posts (images, Medium profile pages) are skipped quietly
+  async readEntry(name, readText, result, assets) {
+    const extension = (name.split('.').pop() || '').toLowerCase();
+    const source = name.split('/').pop();
+
+    if (extension === 'md' || extension === 'markdown') {
+      result.posts.push({ post: await this.fromMarkdown(await readText(), name, assets), source });
+    } else if (extension === 'xml') {
+      this.fromWxr(await readText()).forEach(post => result.posts.push({ post, source }));
+    } else if (extension === 'html' || extension === 'htm') {
+      const post = this.fromMedium(await readText(), source);
+      if (post) {
+        result.posts.push({ post, source });
+      } else if (!assets) {
+        throw new Error('No Medium post found in this file');
+      }
+    } else if (extension === 'json') {
+      // The index and post files in a data bundle repeat blogs.json without all of it
+      if (PostIndex.isGenerated(name)) {
+        if (assets) return;
+        throw new Error('Generated from blogs.json; import blogs.json instead');
+      }
+      const data = this.fromJson(await readText());
+      data.posts.forEach(post => result.posts.push({ post, source }));
+      result.categories.push(...data.categories);
+      result.revisions = data.revisions || result.revisions;
+    } else if (!assets) {
+      throw new Error('Unsupported file type');
+    }
+  }
+
+  // Markdown
+
+  async fromMarkdown(text, name, assets) {
+    const { data, body } = this.parseFrontMatter(text);
+    const dir = name.includes('/') ? name.slice(0, name.lastIndexOf('/') + 1) : '';
+    const fileSlug = name.split('/').pop().replace(/\.[^.]+$/, '').replace(/^\d{4}-\d{2}-\d{2}-/, '');
+
+    let markdown = (await this.inlineImages(body, dir, assets)).trim();
+    const heading = /^#\s+(.+)\n*/.exec(markdown);
+    const title = String(data.title || (heading && heading[1]) || fileSlug);
+    // The title usually repeats as the first heading
+    if (heading && heading[1].trim() === title.trim()) {
+      markdown = markdown.slice(heading[0].length);
+    }
+
+    const cover = data.image || data.cover_image || data.featured_image || data.thumbnail ||
+      (data.cover && typeof data.cover === 'object' ? data.cover.image : data.cover);
+    const categories = this.toList(data.categories || data.category);
+    const isDraft = data.draft === true || data.published === false;
+
+    // Markdown allows raw HTML, so it's cleaned like any other import. If that
+    // changed anything, the Markdown is rebuilt so reopening it can't bring it back
+    const html = this.markdown.toHtml(markdown);
+    const content = this.cleanHtml(html);
+
+    return this.createPost({
+      title,
+      slug: data.slug || fileSlug,
+      date: data.date,
+      excerpt: data.excerpt || data.description || data.summary || data.subtitle,
+      author: data.author,
+      category: categories[0],
+      tags: this.toList(data.tags || data.keywords),
+      featured: data.featured === true,
+      status: isDraft ? 'draft' : data.status,
+      publishAt: data.publishAt || data.publish_at,
+      image: cover ? await this.resolveAsset(String(cover), dir, assets) : '',
+      content,
+      contentMarkdown: content === html ? markdown : this.markdown.fromHtml(content)
+    });
+  }
+
+  parseFrontMatter(text) {
+    const match = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/.exec(text);
+    if (!match) return { data: {}, body: text };
+    return { data: this.parseYaml(match[1]), body: text.slice(match[0].length) };
+  }
+
+  // The subset of YAML found in front matter: maps, lists, quoted and block scalars
+  parseYaml(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n')
+      .filter(line => line.trim() && !line.trim().startsWith('#'));
+    const indentOf = line => line.length - line.trimStart().length;
+    let index = 0;
+
+    const parseNode = (indent) => {
+      const isList = lines[index].trimStart().startsWith('-');
+      const node = isList ? [] : {};
+
+      while (index < lines.length && indentOf(lines[index]) === indent) {
+        const line = lines[index].trim();
+
+        if (isList) {
+          if (!line.startsWith('-')) break;
+          index++;
+          node.push(this.parseYamlScalar(line.replace(/^-\s*/, '')));
+          continue;
+        }
+
+        index++;
+        const match = /^(["']?)([^:]+?)\1\s*:(?:\s+(.*))?$/.exec(line);
+        if (!match) continue;
+
+        const key = match[2].trim();
+        const value = (match[3] || '').trim();
+        const next = lines[index];
+
+        if (/^[|>][+-]?$/.test(value)) {
+          const block = [];
+          while (index < lines.length && indentOf(lines[index]) > indent) {
+            block.push(lines[index++].trim());
+          }
+          node[key] = value.startsWith('|') ? block.join('\n') : block.join(' ');
+        } else if (value) {
+          node[key] = this.parseYamlScalar(value);
+        } else if (next && (indentOf(next) > indent || (indentOf(next) === indent && next.trimStart().startsWith('-')))) {
+          node[key] = parseNode(indentOf(next));
+        } else {
+          node[key] = '';
+        }
+      }
+      return node;
+    };
+
+    return lines.length ? parseNode(indentOf(lines[0])) : {};
+  }
+
+  parseYamlScalar(value) {
+    if (/^\[.*\]$/.test(value)) {
+      return (value.slice(1, -1).match(/"[^"]*"|'[^']*'|[^,]+/g) || [])
+        .map(item => this.parseYamlScalar(item.trim()))
+        .filter(item => item !== '');
+    }
+    if (/^".*"$/.test(value)) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value.slice(1, -1);
+      }
+    }
+    if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+
+    value = value.replace(/\s+#.*$/, '');
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value === 'null' || value === '~') return '';
+    return value;
+  }
+
+  async inlineImages(markdown, dir, assets) {
+    if (!assets) return markdown;
+
+    const pattern = /!\[([^\]]*)\]\(<?([^)\s>]+)>?((?:\s+"[^"]*")?)\)/g;
+    const replacements = await Promise.all(Array.from(markdown.matchAll(pattern), async match => {
+      const src = await this.resolveAsset(match[2], dir, assets);
+      return `![${match[1]}](${src}${match[3]})`;
+    }));
+
+    let i = 0;
+    return markdown.replace(pattern, () => replacements[i++]);
+  }
+
+  // Relative paths into the zip become data URLs; anything else is kept as written
+  async resolveAsset(ref, dir, assets) {
+    if (!assets || /^([a-z]+:|\/|#)/i.test(ref)) return ref;
+
+    const parts = [];
+    `${dir}${decodeURIComponent(ref)}`.split('/').forEach(part => {
+      if (part === '..') parts.pop();
+      else if (part && part !== '.') parts.push(part);
+    });
+
+    const entry = assets.get(parts.join('/'));
+    if (!entry) return ref;
+
+    const blob = await entry.blob();
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // WordPress
+
+  fromWxr(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length || !doc.getElementsByTagName('channel').length) {
+      throw new Error('Not a WordPress export (WXR) file');
+    }
+
+    const field = (node, name) => (node.getElementsByTagName(name)[0]?.textContent || '').trim();
+    const items = Array.from(doc.getElementsByTagName('item'));
+    const authors = new Map(Array.from(doc.getElementsByTagName('wp:author'))
+      .map(author => [field(author, 'wp:author_login'), field(author, 'wp:author_display_name')]));
+    // Featured images point at attachment items by id
+    const attachments = new Map(items
+      .filter(item => field(item, 'wp:post_type') === 'attachment')
+      .map(item => [field(item, 'wp:post_id'), field(item, 'wp:attachment_url')]));
+
+    return items
+      .filter(item => field(item, 'wp:post_type') === 'post' && this.WP_STATUSES[field(item, 'wp:status')])
+      .map(item => {
+        const meta = new Map(Array.from(item.getElementsByTagName('wp:postmeta'))
+          .map(entry => [field(entry, 'wp:meta_key'), field(entry, 'wp:meta_value')]));
+        const terms = Array.from(item.getElementsByTagName('category'));
+        const categories = terms.filter(term => term.getAttribute('domain') === 'category').map(term => term.textContent.trim());
+        const status = this.WP_STATUSES[field(item, 'wp:status')];
+        const login = field(item, 'dc:creator');
+        const gmtDate = field(item, 'wp:post_date_gmt');
+
+        return this.createPost({
+          title: field(item, 'title'),
+          slug: field(item, 'wp:post_name'),
+          date: field(item, 'wp:post_date'),
+          excerpt: this.textFromHtml(field(item, 'excerpt:encoded')),
+          author: authors.get(login) || login,
+          category: categories.find(name => name !== 'Uncategorized') || categories[0],
+          tags: terms.filter(term => term.getAttribute('domain') === 'post_tag').map(term => term.textContent.trim()),
+          featured: field(item, 'wp:is_sticky') === '1',
+          status,
+          publishAt: status === 'scheduled' && gmtDate ? `${gmtDate.replace(' ', 'T')}Z` : '',
+          image: attachments.get(meta.get('_thumbnail_id')) || '',
+          content: this.cleanHtml(this.autop(field(item, 'content:encoded')))
+        });
+      });
+  }
+
+  // Classic WordPress content separates paragraphs with blank lines instead of tags
+  autop(html) {
+    const blockStart = /^<(p|h[1-6]|ul|ol|li|blockquote|pre|figure|div|table|iframe|img)[\s>/]/i;
+    return html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .split(/\n\s*\n/)
+      .map(chunk => chunk.trim())
+      .filter(Boolean)
+      .map(chunk => (blockStart.test(chunk) ? chunk : `<p>${chunk.replace(/\n/g, '<br>')}</p>`))
+      .join('\n');
+  }
+
+  // Medium
+
+  fromMedium(html, fileName) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const body = doc.querySelector('section[data-field="body"]') || doc.querySelector('.e-content');
+    if (!body) return null;
+
+    const title = (doc.querySelector('.p-name')?.textContent || doc.title || '').trim();
+    const subtitle = (doc.querySelector('section[data-field="subtitle"], .p-summary')?.textContent || '').trim();
+    const canonical = doc.querySelector('a.p-canonical')?.getAttribute('href') || '';
+    // Medium repeats the title and subtitle at the top of the body
+    body.querySelectorAll('.graf--title, .graf--subtitle, .section-divider').forEach(node => node.remove());
+
+    // Slugs end in a hash: my-post-title-1a2b3c4d5e6f
+    const slugSource = canonical.split('/').filter(Boolean).pop() ||
+      fileName.replace(/\.[^.]+$/, '').replace(/^(draft_)?\d{4}-\d{2}-\d{2}_/, '');
+    const firstImage = body.querySelector('img');
+
+    return this.createPost({
+      title,
+      slug: slugSource.replace(/-[0-9a-f]{10,12}$/i, ''),
+      date: doc.querySelector('time.dt-published')?.getAttribute('datetime'),
+      excerpt: subtitle,
+      author: (doc.querySelector('.p-author')?.textContent || '').trim(),
+      status: fileName.startsWith('draft_') ? 'draft' : 'published',
+      image: firstImage ? firstImage.getAttribute('src') : '',
+      content: this.cleanHtml(body.innerHTML)
+    });
+  }
+
+  // blogs.json
+
+  // Also reads blog-revisions.json, which holds revisions and no posts
+  fromJson(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data.posts) && !data.revisions) {
+      throw new Error('Not a blogs.json file');
+    }
+    return {
+      posts: data.posts || [],
+      categories: BlogCategories.normalize(data.categories || []),
+      revisions: data.revisions || null
+    };
+  }
+
+  // Shared
+
+  createPost(fields) {
+    const content = fields.content || '';
+    const text = PostSearch.stripHtml(content);
+    const media = new DOMParser().parseFromString(content, 'text/html');
+    const stats = ReadingStats.compute(
+      text,
+      media.querySelectorAll('img').length,
+      media.querySelectorAll('iframe, video').length
+    );
+    const slug = BlogCategories.slugify(fields.slug || fields.title) || `imported-${Date.now()}`;
+    const status = ['draft', 'scheduled'].includes(fields.status) ? fields.status : 'published';
+
+    // No id: posts from other platforms get theirs when they're added
+    const post = {
+      title: String(fields.title || slug),
+      slug,
+      excerpt: String(fields.excerpt || '').trim() || this.truncate(text),
+      content,
+      author: String(fields.author || '').trim() || this.DEFAULT_AUTHOR,
+      date: this.toDate(fields.date) || this.toDate(new Date()),
+      category: String(fields.category || '').trim() || this.DEFAULT_CATEGORY,
+      tags: [...new Set((fields.tags || []).map(String).filter(Boolean))],
+      featured: Boolean(fields.featured),
+      status,
+      image: fields.image || '',
+      wordCount: stats.words,
+      readTime: ReadingStats.format(stats.minutes)
+    };
+
+    // A scheduled post without a time has nothing to go live at
+    if (status === 'scheduled') {
+      const publishAt = new Date(fields.publishAt || `${post.date}T00:00:00`);
+      if (isNaN(publishAt)) post.status = 'draft';
+      else post.publishAt = publishAt.toISOString();
+    }
+    if (fields.contentMarkdown) {
+      post.contentMarkdown = fields.contentMarkdown;
+    }
+    return post;
+  }
+
+  // Keeps the formatting Quill understands and drops the rest, including scripts and handlers
+  cleanHtml(html) {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    this.cleanChildren(doc.body, doc);
+    return doc.body.innerHTML.trim();
+  }
+
+  cleanChildren(parent, doc) {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.COMMENT_NODE) {
+        node.remove();
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.tagName.toLowerCase();
+      if (this.DROPPED_TAGS.includes(tag)) {
+        node.remove();
+      } else if (tag === 'iframe') {
+        this.cleanIframe(node, doc);
+      } else if (tag === 'pre') {
+        const pre = doc.createElement('pre');
+        pre.className = 'ql-syntax';
+        pre.setAttribute('spellcheck', 'false');
+        const language = node.getAttribute('data-language') ||
+          (/(?:language|lang)-([\w#+.-]+)/.exec(`${node.className} ${node.querySelector('code')?.className || ''}`) || [])[1];
+        if (language) pre.setAttribute('data-language', QuillEmbeds.normalizeLanguage(language));
+        pre.textContent = node.textContent;
+        node.replaceWith(pre);
+      } else if (tag === 'figure') {
+        this.cleanFigure(node, doc);
+      } else if (tag === 'div' && this.markdown.EMBED_CLASSES.some(name => node.classList.contains(name))) {
+        this.cleanEmbed(node, doc);
+      } else if (tag === 'div' && node.classList.contains('ql-callout')) {
+        const type = node.getAttribute('data-callout');
+        const callout = doc.createElement('div');
+        callout.className = 'ql-callout';
+        callout.setAttribute('data-callout', QuillEmbeds.CALLOUT_TYPES.includes(type) ? type : QuillEmbeds.CALLOUT_TYPES[0]);
+        callout.append(...node.childNodes);
+        this.cleanChildren(callout, doc);
+        node.replaceWith(callout);
+      } else if (this.ALLOWED_TAGS.includes(tag)) {
+        this.cleanAttributes(node);
+        this.cleanChildren(node, doc);
+      } else {
+        // Layout wrappers (div, section, span...) give way to their contents
+        this.cleanChildren(node, doc);
+        node.replaceWith(...node.childNodes);
+      }
+    });
+  }
+
+  cleanAttributes(node) {
+    const keep = {
+      a: ['href', 'title'],
+      img: ['title', ...this.markdown.IMAGE_ATTRIBUTES]
+    }[node.tagName.toLowerCase()] || [];
+    Array.from(node.attributes).forEach(attr => {
+      // Quill's list nesting is the one class worth keeping
+      if (node.tagName === 'LI' && attr.name === 'class' && /^ql-indent-\d+$/.test(attr.value)) return;
+      if (!keep.includes(attr.name) || !this.isSafeAttribute(attr.name, attr.value, node.tagName === 'IMG')) {
+        node.removeAttribute(attr.name);
+      }
+    });
+    if (node.tagName === 'A' && /^https?:/i.test(node.getAttribute('href') || '')) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+  }
+
+  isSafeAttribute(name, value, isImage) {
+    if (name === 'href' || name === 'src') return this.isSafeUrl(value, isImage);
+    if (name === 'srcset' || name === 'data-source-srcset') {
+      return value.split(/,\s+/).every(candidate => this.isSafeUrl(candidate.trim().split(/\s+/)[0], true));
+    }
+    return true;
+  }
+
+  // Web, mail and relative links; images may also be inline data. Browsers skip
+  // control characters and spaces inside a scheme, so they're dropped before checking
+  isSafeUrl(value, isImage) {
+    const url = value.replace(/[\u0000-\u0020\u007f]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+    if (!scheme) return true;
+    if (/^https?$/i.test(scheme[1])) return true;
+    return isImage ? /^data:image\//i.test(url) : /^mailto$/i.test(scheme[1]);
+  }
+
+  cleanIframe(node, doc) {
+    const src = node.getAttribute('src') || '';
+    if (!/^https:\/\/(www\.)?(youtube(-nocookie)?\.com|player\.vimeo\.com)\//.test(src)) {
+      node.remove();
+      return;
+    }
+    const iframe = doc.createElement('iframe');
+    iframe.className = 'ql-video';
+    iframe.setAttribute('frameborder', '0');
+    iframe.setAttribute('allowfullscreen', 'true');
+    iframe.setAttribute('src', src);
+    node.replaceWith(iframe);
+  }
+
+  // Project cards, galleries and comparisons are rebuilt from the values the editor would save
+  cleanEmbed(node, doc) {
+    const type = this.markdown.EMBED_CLASSES.find(name => node.classList.contains(name));
+    const embed = doc.createElement('div');
+    embed.className = type;
+    embed.setAttribute('contenteditable', 'false');
+
+    if (type === 'ql-project-card') {
+      const id = node.getAttribute('data-project-id') || '';
+      const link = doc.createElement('a');
+      link.setAttribute('href', `projects.html#${encodeURIComponent(id)}`);
+      link.textContent = node.textContent.trim() || id;
+      embed.setAttribute('data-project-id', id);
+      embed.appendChild(link);
+    } else {
+      embed.innerHTML = Array.from(node.querySelectorAll('figure'))
+        .map(figure => QuillEmbeds.figureValue(figure))
+        .filter(image => image.src && this.isSafeUrl(image.src, true) &&
+          this.isSafeAttribute('srcset', image.srcset || '', true) &&
+          this.isSafeAttribute('srcset', image.sourceSrcset || '', true))
+        .map(image => QuillEmbeds.figureHtml(image))
+        .join('');
+    }
+    node.replaceWith(embed);
+  }
+
+  // Quill has no figures: the image stays and the caption becomes an italic line
+  cleanFigure(node, doc) {
+    const caption = node.querySelector('figcaption');
+    const captionText = caption ? caption.textContent.trim() : '';
+    if (caption) caption.remove();
+
+    this.cleanChildren(node, doc);
+    if (captionText) {
+      const paragraph = doc.createElement('p');
+      paragraph.innerHTML = '<em></em>';
+      paragraph.firstChild.textContent = captionText;
+      node.appendChild(paragraph);
+    }
+    node.replaceWith(...node.childNodes);
+  }
+
+  textFromHtml(html) {
+    return html ? PostSearch.stripHtml(html) : '';
+  }
+
+  truncate(text) {
+    if (text.length <= this.EXCERPT_LENGTH) return text;
+    const cut = text.slice(0, this.EXCERPT_LENGTH);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+  }
+
+  toList(value) {
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+    if (!value) return [];
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  // YYYY-MM-DD in the editor's time zone; date-only strings are taken as written
+  toDate(value) {
+    if (!value) return '';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+
+    const date = new Date(value);
+    if (isNaN(date)) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Post Index
+ * The split form of blogs.json the blog page loads: a light listing, the plain
+ * text of every post for search, and one file per post holding its content
+ *
+ * The editor writes data/blog-index.json, data/blog-search.json and
+ * data/posts/<slug>.json next to blogs.json, both when committing and in the
+ * downloaded data bundle. The listing carries no post text, so the page only
+ * fetches blog-search.json once a reader starts searching.
+ */
+
+class PostIndex {
+  static get INDEX_FILE() { return 'blog-index.json'; }
+  static get SEARCH_FILE() { return 'blog-search.json'; }
+  static get POSTS_DIR() { return 'posts'; }
+
+  // Paths are relative to the folder holding blogs.json
+  static postPath(slug) {
+    return `${this.POSTS_DIR}/${slug}.json`;
+  }
+
+  // True for the files written here, wherever they sit in a zip; blogs.json is the only source to import
+  static isGenerated(path) {
+    const parts = path.split('/');
+    const name = parts.pop();
+    return name === this.INDEX_FILE || name === this.SEARCH_FILE ||
+      (parts.pop() === this.POSTS_DIR && /\.json$/i.test(name));
+  }
+
+  /**
+   * Drafts stay out; scheduled posts go in and the blog page hides them until publishAt
+   * @returns {{index: Object, search: Object, files: Array<{path: string, post: Object}>}}
+   */
+  static build(posts, categories) {
+    const visible = posts.filter(post => (post.status || 'published') !== 'draft');
+
+    return {
+      index: {
+        posts: visible.map(post => this.listing(post)),
+        categories
+      },
+      search: {
+        posts: visible.map(post => ({ id: post.id, text: PostSearch.stripHtml(post.content) }))
+      },
+      files: visible.map(post => {
+        const { contentMarkdown, ...full } = post;
+        return { path: this.postPath(PostSlugs.slugOf(post)), post: full };
+      })
+    };
+  }
+
+  /**
+   * The index, search and post files serialized for writing
+   * @returns {Array<{path: string, content: string}>}
+   */
+  static files(posts, categories) {
+    const split = this.build(posts, categories);
+    return [
+      { path: this.INDEX_FILE, content: JSON.stringify(split.index, null, 2) },
+      { path: this.SEARCH_FILE, content: JSON.stringify(split.search) },
+      ...split.files.map(file => ({ path: file.path, content: JSON.stringify(file.post, null, 2) }))
+    ];
+  }
+
+  static listing(post) {
+    const { content, contentMarkdown, ...listing } = post;
+    return {
+      ...listing,
+      // Read time can't be worked out later without the content
+      readTime: ReadingStats.readTimeFor(post)
+    };
+  }
+}
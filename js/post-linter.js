@@ -0,0 +1,208 @@
+/**
+ * Post Linter
+ * Pre-save content checks for the blog editor
+ *
+ * Each issue has a severity: errors block saving, warnings are only shown.
+ */
+
+class PostLinter {
+  constructor() {
+    this.EXCERPT_MIN_LENGTH = 50;
+    this.EXCERPT_MAX_LENGTH = 300;
+    this.imageChecks = new Map(); // path -> Promise<boolean|null>
+    this.knownPaths = new Set(); // files committed this session, not yet deployed
+  }
+
+  /**
+   * @param {Object} post - Post being edited (title, slug, excerpt, content, image)
+   * @param {Object} context - { posts, currentPostId }
+   * @returns {Promise<Array<{severity: string, rule: string, message: string}>>}
+   */
+  async lint(post, context) {
+    // Parsed inertly: nothing in the content loads or runs while it's checked
+    const container = new DOMParser().parseFromString(post.content || '', 'text/html').body;
+
+    const issues = [
+      ...this.checkAltText(container),
+      ...this.checkDuplicateSlug(post, context),
+      ...this.checkExcerpt(post),
+      ...this.checkHeadings(container),
+      ...this.checkEmptyParagraphs(container),
+      ...this.checkExternalLinks(container),
+      ...(await this.checkImagePaths(post, container))
+    ];
+
+    // Errors first
+    return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+  }
+
+  checkAltText(container) {
+    return Array.from(container.querySelectorAll('img'))
+      .filter(img => !(img.getAttribute('alt') || '').trim())
+      .map(img => ({
+        severity: 'warning',
+        rule: 'image-alt',
+        message: `Image has no alt text: ${this.shortenPath(img.getAttribute('src'))}`
+      }));
+  }
+
+  // Clashing with a live slug is an error; an old slug would stop redirecting
+  checkDuplicateSlug(post, { posts, currentPostId }) {
+    return PostSlugs.collisions(posts, post.slug, currentPostId).map(({ post: clash, historic }) => (historic ? {
+      severity: 'warning',
+      rule: 'duplicate-slug',
+      message: `Slug "${post.slug}" used to point to "${clash.title}"; old links to it will open this post instead`
+    } : {
+      severity: 'error',
+      rule: 'duplicate-slug',
+      message: `Slug "${post.slug}" is already used by "${clash.title}"`
+    }));
+  }
+
+  checkExcerpt(post) {
+    const length = (post.excerpt || '').trim().length;
+    if (!length) return [];
+
+    if (length < this.EXCERPT_MIN_LENGTH) {
+      return [{
+        severity: 'warning',
+        rule: 'excerpt-length',
+        message: `Excerpt is short (${length} characters, aim for at least ${this.EXCERPT_MIN_LENGTH})`
+      }];
+    }
+    if (length > this.EXCERPT_MAX_LENGTH) {
+      return [{
+        severity: 'warning',
+        rule: 'excerpt-length',
+        message: `Excerpt is long (${length} characters, keep it under ${this.EXCERPT_MAX_LENGTH})`
+      }];
+    }
+    return [];
+  }
+
+  // The post title renders as the page's h1, so content headings start below it
+  checkHeadings(container) {
+    const issues = [];
+    let previousLevel = 1;
+
+    container.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+      const level = Number(heading.tagName[1]);
+      if (level > previousLevel + 1) {
+        issues.push({
+          severity: 'warning',
+          rule: 'heading-order',
+          message: `Heading "${heading.textContent.trim()}" skips from h${previousLevel} to h${level}`
+        });
+      }
+      previousLevel = level;
+    });
+
+    return issues;
+  }
+
+  checkEmptyParagraphs(container) {
+    const count = Array.from(container.querySelectorAll('p'))
+      .filter(p => !p.textContent.trim() && !p.querySelector('img, iframe'))
+      .length;
+
+    return count ? [{
+      severity: 'warning',
+      rule: 'empty-paragraph',
+      message: `${count} empty paragraph${count === 1 ? '' : 's'}`
+    }] : [];
+  }
+
+  checkExternalLinks(container) {
+    return Array.from(container.querySelectorAll('a[href]'))
+      .filter(link => this.isExternal(link.getAttribute('href')) && !link.getAttribute('rel'))
+      .map(link => ({
+        severity: 'warning',
+        rule: 'external-link-rel',
+        message: `External link has no rel attribute: ${link.getAttribute('href')}`
+      }));
+  }
+
+  async checkImagePaths(post, container) {
+    const sources = [
+      post.image,
+      ...(post.imageVariants || []).map(variant => variant.src),
+      ...Array.from(container.querySelectorAll('img')).map(img => img.getAttribute('src')),
+      // Each responsive variant is a file of its own and can go missing separately
+      ...Array.from(container.querySelectorAll('img[srcset], source[srcset]'))
+        .flatMap(el => this.srcsetPaths(el.getAttribute('srcset')))
+    ];
+    const paths = new Set(sources.filter(src => src && this.isRelative(src)));
+
+    const results = await Promise.all(Array.from(paths).map(async path => ({
+      path,
+      exists: await this.imageExists(path)
+    })));
+
+    // null means we couldn't tell (e.g. opened from disk), which isn't reported
+    return results
+      .filter(result => result.exists === false)
+      .map(result => ({
+        severity: 'error',
+        rule: 'broken-image',
+        message: `Image not found in the repository: ${result.path}`
+      }));
+  }
+
+  // A URL runs to the next space, and data: URLs have commas of their own,
+  // so only a comma ending a token separates candidates
+  srcsetPaths(srcset) {
+    const paths = [];
+    let expectUrl = true;
+    (srcset || '').trim().split(/\s+/).filter(Boolean).forEach(token => {
+      if (expectUrl) paths.push(token.replace(/,$/, ''));
+      expectUrl = token.endsWith(',');
+    });
+    return paths.filter(Boolean);
+  }
+
+  imageExists(path) {
+    const normalized = path.split('#')[0].split('?')[0];
+    if (this.isKnownPath(normalized)) return Promise.resolve(true);
+
+    if (!this.imageChecks.has(normalized)) {
+      this.imageChecks.set(normalized, fetch(normalized, { method: 'HEAD', cache: 'no-cache' })
+        .then(response => response.ok)
+        .catch(() => null)
+        .then(exists => {
+          // Only found files are cached, so a later upload or deploy is picked up
+          if (exists !== true) this.imageChecks.delete(normalized);
+          return exists;
+        }));
+    }
+    return this.imageChecks.get(normalized);
+  }
+
+  isKnownPath(path) {
+    if (this.knownPaths.has(path)) return true;
+    try {
+      return this.knownPaths.has(decodeURI(path));
+    } catch (error) {
+      // Malformed escapes can't match a committed file; the HEAD request reports them
+      return false;
+    }
+  }
+
+  isRelative(src) {
+    return !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src);
+  }
+
+  isExternal(href) {
+    if (!/^(https?:)?\/\//i.test(href)) return false;
+    try {
+      return new URL(href, window.location.href).host !== window.location.host;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  shortenPath(src) {
+    if (!src) return '(no source)';
+    if (src.startsWith('data:')) return 'uploaded image';
+    return src.length > 60 ? `…${src.slice(-57)}` : src;
+  }
+}
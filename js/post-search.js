@@ -0,0 +1,159 @@
+/**
+ * Post Search
+ * In-memory inverted index over blog posts with ranked results and snippets
+ *
+ * Every token maps to the posts containing it and a weighted term frequency,
+ * so a query only touches the posts that match. The last query word also
+ * matches as a prefix, which keeps results useful while typing.
+ */
+
+class PostSearch {
+  constructor() {
+    // Matches in the title count for more than matches deep in the content
+    this.FIELD_WEIGHTS = { title: 5, tags: 4, excerpt: 2, author: 2, content: 1 };
+    this.SNIPPET_LENGTH = 140;
+    this.index = new Map();
+    this.documents = new Map();
+  }
+
+  build(posts) {
+    this.index.clear();
+    this.documents.clear();
+    posts.forEach(post => this.add(post));
+  }
+
+  // Adding a post that is already indexed replaces it
+  add(post) {
+    this.remove(post.id);
+
+    const doc = {
+      post,
+      title: post.title || '',
+      excerpt: post.excerpt || '',
+      author: post.author || '',
+      tags: (post.tags || []).join(' '),
+      // Listings have no content; their plain text arrives from the search file
+      content: post.content === undefined ? post.searchText || '' : PostSearch.stripHtml(post.content)
+    };
+    this.documents.set(post.id, doc);
+
+    Object.entries(this.FIELD_WEIGHTS).forEach(([field, weight]) => {
+      PostSearch.tokenize(doc[field]).forEach(token => {
+        if (!this.index.has(token)) this.index.set(token, new Map());
+        const postings = this.index.get(token);
+        postings.set(post.id, (postings.get(post.id) || 0) + weight);
+      });
+    });
+  }
+
+  remove(postId) {
+    if (!this.documents.delete(postId)) return;
+
+    this.index.forEach((postings, token) => {
+      postings.delete(postId);
+      if (!postings.size) this.index.delete(token);
+    });
+  }
+
+  /**
+   * Posts matching every query word, best first
+   * @returns {Array<{post: Object, score: number, terms: string[]}>}
+   */
+  search(query) {
+    const terms = PostSearch.tokenize(query);
+    if (!terms.length) return [];
+
+    let scores = null;
+    terms.forEach((term, i) => {
+      const isLast = i === terms.length - 1;
+      const termScores = new Map();
+
+      this.index.forEach((postings, token) => {
+        const exact = token === term;
+        if (!exact && !(isLast && token.startsWith(term))) return;
+
+        // Rare words say more about a post than common ones
+        const idf = Math.log(1 + this.documents.size / postings.size);
+        postings.forEach((weight, postId) => {
+          const score = weight * idf * (exact ? 1 : 0.5);
+          termScores.set(postId, (termScores.get(postId) || 0) + score);
+        });
+      });
+
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        scores = new Map(Array.from(scores)
+          .filter(([postId]) => termScores.has(postId))
+          .map(([postId, score]) => [postId, score + termScores.get(postId)]));
+      }
+    });
+
+    return Array.from(scores)
+      .map(([postId, score]) => ({ post: this.documents.get(postId).post, score, terms }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Escaped excerpt of the content around the first match, with matches marked
+  snippet(postId, terms) {
+    const doc = this.documents.get(postId);
+    if (!doc) return '';
+
+    const pattern = PostSearch.termPattern(terms);
+    const source = [doc.content, doc.excerpt].find(text => pattern && pattern.test(text)) || doc.excerpt || doc.content;
+    const match = pattern ? source.match(pattern) : null;
+    const half = Math.floor(this.SNIPPET_LENGTH / 2);
+
+    let start = match ? Math.max(0, match.index - half) : 0;
+    let end = Math.min(source.length, start + this.SNIPPET_LENGTH);
+    start = Math.max(0, end - this.SNIPPET_LENGTH);
+
+    // Don't cut words in half at the edges
+    if (start > 0) start = source.indexOf(' ', start) + 1 || start;
+    if (end < source.length) end = source.lastIndexOf(' ', end) > start ? source.lastIndexOf(' ', end) : end;
+
+    return `${start > 0 ? '…' : ''}${PostSearch.highlight(source.slice(start, end), terms)}${end < source.length ? '…' : ''}`;
+  }
+
+  // Escapes text and wraps words starting with a query term in <mark>
+  static highlight(text, terms) {
+    const pattern = this.termPattern(terms, 'giu');
+    const escaped = this.escapeHtml(text || '');
+    if (!pattern) return escaped;
+
+    // termPattern never matches right after "&", so entities like &amp; stay intact
+    return escaped.replace(pattern, (match, lead, word) => `${lead}<mark>${word}</mark>`);
+  }
+
+  static termPattern(terms, flags = 'iu') {
+    const words = (terms || []).filter(Boolean).map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (!words.length) return null;
+    return new RegExp(`(^|[^\\p{L}\\p{N}&])((?:${words.join('|')})[\\p{L}\\p{N}]*)`, flags);
+  }
+
+  static tokenize(text) {
+    return (String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []);
+  }
+
+  static stripHtml(html) {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+
+    // Keep block boundaries so words from adjacent paragraphs don't merge
+    doc.body.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, li, blockquote, pre, figcaption, br').forEach(el => {
+      el.insertAdjacentText('afterend', ' ');
+    });
+    return doc.body.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
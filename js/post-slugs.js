@@ -0,0 +1,48 @@
+/**
+ * Post Slugs
+ * Slug history shared by the blog page and the editor
+ *
+ * Renaming a post moves its old slug into previousSlugs, so shared links keep
+ * resolving. Current slugs always win over historic ones when looking up.
+ */
+
+class PostSlugs {
+  static slugOf(post) {
+    return post.slug || post.id;
+  }
+
+  static find(posts, slug) {
+    if (!slug) return null;
+    return posts.find(post => this.slugOf(post) === slug) ||
+      posts.find(post => post.id === slug) ||
+      posts.find(post => (post.previousSlugs || []).includes(slug)) ||
+      null;
+  }
+
+  // History for a post moving from its saved slug to newSlug
+  static history(savedPost, newSlug) {
+    const previous = (savedPost && savedPost.previousSlugs) || [];
+    const oldSlug = savedPost ? this.slugOf(savedPost) : null;
+    const slugs = oldSlug && oldSlug !== newSlug ? [...previous, oldSlug] : previous;
+
+    // Renaming back to an old slug takes it out of the history
+    return [...new Set(slugs)].filter(slug => slug !== newSlug);
+  }
+
+  /**
+   * Other posts already using a slug, now or in the past
+   * @returns {Array<{post: Object, historic: boolean}>}
+   */
+  static collisions(posts, slug, currentPostId) {
+    if (!slug) return [];
+
+    return posts
+      .filter(post => post.id !== currentPostId)
+      .map(post => {
+        if (this.slugOf(post) === slug) return { post, historic: false };
+        if ((post.previousSlugs || []).includes(slug)) return { post, historic: true };
+        return null;
+      })
+      .filter(Boolean);
+  }
+}
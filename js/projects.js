@@ -19,6 +19,15 @@ class ProjectsManager {
     this.renderFilters();
     this.renderProjects();
     this.setupEventListeners();
+    this.openFromHash();
+  }
+
+  // Project cards embedded in blog posts link to projects.html#<project-id>
+  openFromHash() {
+    const projectId = decodeURIComponent(window.location.hash.slice(1));
+    if (projectId && this.projects.some(p => p.id === projectId)) {
+      this.openModal(projectId);
+    }
   }
 
   async loadProjectData() {
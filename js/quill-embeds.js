@@ -0,0 +1,187 @@
+/**
+ * Quill Embeds
+ * Custom Quill formats for blog posts: project cards, image galleries,
+ * before/after comparisons, callouts and code blocks tagged with a language
+ *
+ * Every format saves plain HTML that reads sensibly without scripts;
+ * PostEmbeds turns it into interactive components on the blog page.
+ */
+
+class QuillEmbeds {
+  static get CALLOUT_TYPES() { return ['info', 'tip', 'warning']; }
+
+  static register() {
+    const BlockEmbed = Quill.import('blots/block/embed');
+    const Block = Quill.import('blots/block');
+    const CodeBlock = Quill.import('formats/code-block');
+    const escape = (text) => QuillEmbeds.escapeHtml(text);
+    const calloutTypes = this.CALLOUT_TYPES;
+
+    // <div class="ql-project-card" data-project-id="..."><a href="projects.html#id">Title</a></div>
+    class ProjectCard extends BlockEmbed {
+      static create(value) {
+        const node = super.create();
+        node.setAttribute('contenteditable', 'false');
+        node.setAttribute('data-project-id', value.id);
+        node.innerHTML = `<a href="projects.html#${encodeURIComponent(value.id)}">${escape(value.title || value.id)}</a>`;
+        return node;
+      }
+
+      static value(node) {
+        const link = node.querySelector('a');
+        return {
+          id: node.getAttribute('data-project-id'),
+          title: link ? link.textContent : ''
+        };
+      }
+    }
+    ProjectCard.blotName = 'project-card';
+    ProjectCard.tagName = 'DIV';
+    ProjectCard.className = 'ql-project-card';
+
+    // <div class="ql-gallery"><figure><img><figcaption>...</figcaption></figure>...</div>
+    class Gallery extends BlockEmbed {
+      static create(value) {
+        const node = super.create();
+        node.setAttribute('contenteditable', 'false');
+        node.innerHTML = (value.images || []).map(image => QuillEmbeds.figureHtml(image)).join('');
+        return node;
+      }
+
+      static value(node) {
+        return {
+          images: Array.from(node.querySelectorAll('figure')).map(figure => QuillEmbeds.figureValue(figure))
+        };
+      }
+    }
+    Gallery.blotName = 'gallery';
+    Gallery.tagName = 'DIV';
+    Gallery.className = 'ql-gallery';
+
+    // Two figures, before then after
+    class ImageCompare extends BlockEmbed {
+      static create(value) {
+        const node = super.create();
+        node.setAttribute('contenteditable', 'false');
+        node.innerHTML = [
+          { caption: 'Before', ...value.before },
+          { caption: 'After', ...value.after }
+        ].map(image => QuillEmbeds.figureHtml(image)).join('');
+        return node;
+      }
+
+      static value(node) {
+        const [before, after] = Array.from(node.querySelectorAll('figure')).map(figure => QuillEmbeds.figureValue(figure));
+        return { before: before || {}, after: after || {} };
+      }
+    }
+    ImageCompare.blotName = 'image-compare';
+    ImageCompare.tagName = 'DIV';
+    ImageCompare.className = 'ql-image-compare';
+
+    // Line format like a blockquote; adjacent lines of one type form a single box
+    class Callout extends Block {
+      static create(value) {
+        const node = super.create(value);
+        node.setAttribute('data-callout', calloutTypes.includes(value) ? value : calloutTypes[0]);
+        return node;
+      }
+
+      static formats(domNode) {
+        return domNode.getAttribute('data-callout') || calloutTypes[0];
+      }
+
+      format(name, value) {
+        if (name === Callout.blotName && value) {
+          this.domNode.setAttribute('data-callout', calloutTypes.includes(value) ? value : calloutTypes[0]);
+        } else {
+          super.format(name, value);
+        }
+      }
+    }
+    Callout.blotName = 'callout';
+    Callout.tagName = 'DIV';
+    Callout.className = 'ql-callout';
+
+    // Quill's code block, remembering the language in data-language
+    class LanguageCodeBlock extends CodeBlock {
+      static create(value) {
+        const node = super.create(value);
+        if (typeof value === 'string') {
+          node.setAttribute('data-language', value);
+        }
+        return node;
+      }
+
+      static formats(domNode) {
+        return domNode.getAttribute('data-language') || true;
+      }
+
+      format(name, value) {
+        if (name === LanguageCodeBlock.blotName && value) {
+          if (typeof value === 'string') {
+            this.domNode.setAttribute('data-language', value);
+          } else {
+            this.domNode.removeAttribute('data-language');
+          }
+        } else {
+          super.format(name, value);
+        }
+      }
+    }
+
+    Quill.register({
+      'formats/project-card': ProjectCard,
+      'formats/gallery': Gallery,
+      'formats/image-compare': ImageCompare,
+      'formats/callout': Callout,
+      'formats/code-block': LanguageCodeBlock
+    }, true);
+  }
+
+  static figureHtml(image) {
+    const sizes = ` sizes="${this.escapeHtml(image.sizes || ImageVariants.CONTENT_SIZES)}"`;
+    // The modern format waits in data-source-* until ImageVariants.withPictures renders the post
+    const srcset = (image.srcset ? ` srcset="${this.escapeHtml(image.srcset)}"` : '') +
+      (image.sourceSrcset
+        ? ` data-source-type="${this.escapeHtml(image.sourceType || '')}" data-source-srcset="${this.escapeHtml(image.sourceSrcset)}"`
+        : '') +
+      (image.srcset || image.sourceSrcset ? sizes : '');
+    const caption = image.caption ? `<figcaption>${this.escapeHtml(image.caption)}</figcaption>` : '';
+    return `<figure><img src="${this.escapeHtml(image.src || '')}"${srcset} alt="${this.escapeHtml(image.alt || '')}">${caption}</figure>`;
+  }
+
+  static figureValue(figure) {
+    const img = figure.querySelector('img');
+    const caption = figure.querySelector('figcaption');
+    const value = {
+      src: img ? img.getAttribute('src') : '',
+      alt: img ? img.getAttribute('alt') || '' : '',
+      caption: caption ? caption.textContent : ''
+    };
+    if (img && img.hasAttribute('srcset')) {
+      value.srcset = img.getAttribute('srcset');
+    }
+    if (img && img.hasAttribute('data-source-srcset')) {
+      value.sourceType = img.getAttribute('data-source-type') || '';
+      value.sourceSrcset = img.getAttribute('data-source-srcset');
+    }
+    if (value.srcset || value.sourceSrcset) {
+      value.sizes = img.getAttribute('sizes') || '';
+    }
+    return value;
+  }
+
+  // Normalizes a free-typed language name into a data-language value
+  static normalizeLanguage(language) {
+    return String(language || '').trim().toLowerCase().replace(/[^a-z0-9#+.-]/g, '');
+  }
+
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
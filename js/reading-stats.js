@@ -0,0 +1,54 @@
+/**
+ * Reading Stats
+ * Word count and estimated reading time for post content
+ *
+ * Shared by the blog page and the editor so both show the same estimate.
+ * Images and embedded videos add a fixed amount of viewing time.
+ */
+
+class ReadingStats {
+  static get WORDS_PER_MINUTE() { return 200; }
+  static get SECONDS_PER_IMAGE() { return 12; }
+  static get SECONDS_PER_VIDEO() { return 30; }
+
+  static fromHtml(html) {
+    // An inert document, so images in the post aren't fetched just to be counted
+    const container = new DOMParser().parseFromString(html || '', 'text/html').body;
+
+    // Keep block boundaries so words from adjacent paragraphs don't merge
+    container.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, li, blockquote, pre, figcaption, br').forEach(el => {
+      el.insertAdjacentText('afterend', ' ');
+    });
+
+    return this.compute(
+      container.textContent,
+      container.querySelectorAll('img').length,
+      container.querySelectorAll('iframe, video').length
+    );
+  }
+
+  static compute(text, images = 0, videos = 0) {
+    const words = (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+    const seconds = (words / this.WORDS_PER_MINUTE) * 60 +
+      images * this.SECONDS_PER_IMAGE +
+      videos * this.SECONDS_PER_VIDEO;
+
+    return {
+      words,
+      images,
+      videos,
+      minutes: Math.max(1, Math.ceil(seconds / 60))
+    };
+  }
+
+  static format(minutes) {
+    return `${minutes} min read`;
+  }
+
+  // Manual overrides win; otherwise the estimate comes from the content itself.
+  // Listings from the post index have no content and carry the estimate instead.
+  static readTimeFor(post) {
+    if ((post.readTimeManual || post.content === undefined) && post.readTime) return post.readTime;
+    return this.format(this.fromHtml(post.content).minutes);
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Token Vault
+ * Keeps the GitHub token encrypted at rest with a passphrase, or only in memory
+ *
+ * The passphrase is stretched with PBKDF2 into an AES-GCM key. Only the salt,
+ * IV and ciphertext reach localStorage; the passphrase and the plain token
+ * never do.
+ */
+
+class TokenVault {
+  constructor(storageKey = 'blog-editor-github-token', legacyKey = 'github_token') {
+    this.storageKey = storageKey;
+    this.legacyKey = legacyKey;
+    this.ITERATIONS = 310000;
+    // Unlocked or session-only token, gone when the page closes
+    this.token = null;
+  }
+
+  hasStored() {
+    return Boolean(localStorage.getItem(this.storageKey));
+  }
+
+  // Tokens saved in plain text by older versions, removed once read
+  takeLegacyToken() {
+    const token = localStorage.getItem(this.legacyKey);
+    localStorage.removeItem(this.legacyKey);
+    return token;
+  }
+
+  async store(token, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.deriveKey(passphrase, salt, this.ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(token));
+
+    localStorage.setItem(this.storageKey, JSON.stringify({
+      version: 1,
+      iterations: this.ITERATIONS,
+      salt: this.toBase64(salt),
+      iv: this.toBase64(iv),
+      data: this.toBase64(new Uint8Array(ciphertext))
+    }));
+    this.token = token;
+  }
+
+  async unlock(passphrase) {
+    const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+    if (!stored) throw new Error('No saved token');
+
+    const key = await this.deriveKey(passphrase, this.fromBase64(stored.salt), stored.iterations);
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(stored.iv) },
+        key,
+        this.fromBase64(stored.data)
+      );
+      this.token = new TextDecoder().decode(plaintext);
+      return this.token;
+    } catch (error) {
+      // AES-GCM authentication fails for any wrong passphrase
+      throw new Error('Wrong passphrase');
+    }
+  }
+
+  // Session-only from now on, so an older encrypted copy must not outlive the choice
+  keepForSession(token) {
+    localStorage.removeItem(this.storageKey);
+    this.token = token;
+  }
+
+  forget() {
+    localStorage.removeItem(this.storageKey);
+    localStorage.removeItem(this.legacyKey);
+    this.token = null;
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  fromBase64(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Zip Archive
+ * Minimal zip reader and writer for the editor's importers and exports, built
+ * on DecompressionStream and CompressionStream
+ *
+ * Handles stored and deflated entries, which covers archives made by every
+ * common tool. Zip64 archives (over 4 GB or 65535 entries) are not supported.
+ */
+
+class ZipArchive {
+  static get MIME_TYPES() {
+    return {
+      md: 'text/markdown',
+      markdown: 'text/markdown',
+      html: 'text/html',
+      htm: 'text/html',
+      xml: 'application/xml',
+      json: 'application/json',
+      jpg: 'image/jpeg',
+      jpeg: 'image/jpeg',
+      png: 'image/png',
+      gif: 'image/gif',
+      webp: 'image/webp',
+      avif: 'image/avif',
+      svg: 'image/svg+xml'
+    };
+  }
+
+  static mimeType(name) {
+    const extension = (name.split('.').pop() || '').toLowerCase();
+    return this.MIME_TYPES[extension] || 'application/octet-stream';
+  }
+
+  /**
+   * Lists the files in a zip; contents are only inflated when asked for
+   * @returns {Promise<Array<{name: string, size: number, blob: Function, text: Function}>>}
+   */
+  static async read(file) {
+    const buffer = await file.arrayBuffer();
+    const view = new DataView(buffer);
+    const end = this.findEndOfCentralDirectory(view);
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+
+    if (count === 0xffff || offset === 0xffffffff) {
+      throw new Error('Zip64 archives are not supported');
+    }
+
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('Corrupt zip file');
+      }
+
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const size = view.getUint32(offset + 24, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      // Folders and macOS resource forks carry no content
+      if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+
+      // The local header's name and extra field can differ in length from the central copy
+      const dataStart = localOffset + 30 +
+        view.getUint16(localOffset + 26, true) +
+        view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataStart, compressedSize);
+      const type = this.mimeType(name);
+
+      let inflated = null;
+      const blob = () => {
+        if (!inflated) inflated = this.inflate(data, method, type);
+        return inflated;
+      };
+      entries.push({ name, size, blob, text: async () => (await blob()).text() });
+    }
+    return entries;
+  }
+
+  static findEndOfCentralDirectory(view) {
+    // The record is 22 bytes plus a comment of up to 64 KB
+    const min = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let i = view.byteLength - 22; i >= min; i--) {
+      if (view.getUint32(i, true) === 0x06054b50) return i;
+    }
+    throw new Error('Not a zip file');
+  }
+
+  static async inflate(data, method, type) {
+    if (method === 0) return new Blob([data], { type });
+    if (method !== 8) throw new Error(`Unsupported zip compression method ${method}`);
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Blob([await new Response(stream).arrayBuffer()], { type });
+  }
+
+  /**
+   * Packs files into a zip; images are stored as they are, everything else is deflated
+   * @param {Array<{name: string, data: Blob|string}>} files
+   * @returns {Promise<Blob>}
+   */
+  static async write(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = this.dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const blob = file.data instanceof Blob ? file.data : new Blob([file.data]);
+      const raw = new Uint8Array(await blob.arrayBuffer());
+      // Images are compressed already, so deflating them only costs time
+      const method = /^image\//.test(this.mimeType(file.name)) ? 0 : 8;
+      const data = method === 8 ? await this.deflate(raw) : raw;
+      const name = encoder.encode(file.name);
+      const crc = this.crc32(raw);
+
+      // Local header; bit 11 marks the name as UTF-8
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 0x0800, true);
+      header.setUint16(8, method, true);
+      header.setUint16(10, time, true);
+      header.setUint16(12, date, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, data.length, true);
+      header.setUint32(22, raw.length, true);
+      header.setUint16(26, name.length, true);
+      parts.push(header, name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, method, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, raw.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry, name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  static async deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // Zip timestamps are local time in two-second steps, counted from 1980
+  static dosDateTime(when) {
+    return {
+      time: (when.getHours() << 11) | (when.getMinutes() << 5) | Math.floor(when.getSeconds() / 2),
+      date: ((when.getFullYear() - 1980) << 9) | ((when.getMonth() + 1) << 5) | when.getDate()
+    };
+  }
+
+  static crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}